@@ -1,6 +1,51 @@
-BORDER_COLOR = [1, 0, 0];
+// default style of the border lines, can be overridden by border_style in config.js
+// width: in pixels, join: 'miter' | 'round' | 'bevel', dash: [on, off, ...] at most 4 lengths in pixels, color: [r, g, b] [0-255]
+DEFAULT_BORDER_STYLE = {width: 1, join: 'miter', dash: [], color: [255, 0, 0]};
+// styles of the vertex handles shown in edit mode, size: diameter in pixels, fill / outline: [r, g, b] [0-1]
+HANDLE_STYLES = {
+    normal: {size: 10, fill: [1, 1, 1], outline: [0.1, 0.1, 0.1]},
+    hover: {size: 14, fill: [1, 0.85, 0], outline: [0.1, 0.1, 0.1]},
+    drag: {size: 14, fill: [0, 0.75, 1], outline: [1, 1, 1]},
+    selected: {size: 14, fill: [1, 0.2, 0.4], outline: [1, 1, 1]},
+    // control points of a Bézier motion path
+    control: {size: 8, fill: [0.6, 0.6, 0.6], outline: [0.1, 0.1, 0.1]},
+};
+// diameter in pixels of the dots drawn on the vertices in the "points" shading mode
+DOT_SIZE = 6;
+// max distance in pixels a pointer can move between down and up to be a click
+CLICK_TOLERANCE = 4;
+// style of the outline of the polygon being created, see DEFAULT_BORDER_STYLE
+FACE_PREVIEW_STYLE = {width: 2, join: 'round', dash: [8, 4], color: [255, 255, 0]};
+// default pick tolerance of the vertices in pixels, can be overridden by pick_radius in config.js
+PICK_RADIUS = 12;
+// default max number of steps which can be undone, can be overridden by history_limit in config.js
+HISTORY_LIMIT = 100;
+// min distance in pixels between the image grid and the edges of the canvas
+GRID_MARGIN = 40;
+// "canvas": center of the canvas, "centroid": average of the points, "bbox": center of the bounding box of the points,
+// "vertex": a chosen point
+PIVOT_MODES = ['canvas', 'centroid', 'bbox', 'vertex'];
+// radius in pixels of the ring of the gizmo to rotate, scale and translate the mesh
+GIZMO_RADIUS = 60;
+// styles of the ring of the gizmo, see DEFAULT_BORDER_STYLE
+GIZMO_STYLES = {
+    normal: {width: 2, join: 'round', dash: [], color: [0, 190, 255]},
+    hover: {width: 3, join: 'round', dash: [], color: [255, 217, 0]},
+    drag: {width: 3, join: 'round', dash: [], color: [255, 255, 255]},
+};
+// style of the motion path being edited, see DEFAULT_BORDER_STYLE, and color [r, g, b] [0-1] of the lines
+// from the anchors of a Bézier path to their control points
+MOTION_PATH_STYLE = {width: 2, join: 'round', dash: [], color: [0, 255, 160]};
+MOTION_PATH_CONTROL_COLOR = [0.6, 0.6, 0.6];
+// duration in seconds of a frame stepped through the animation
+FRAME_DURATION = 1 / 60;
+// "polygon": outlines of the polygons, "triangle": wireframe of the triangles, "none": no border
+BORDER_MODES = ['polygon', 'triangle', 'none'];
 
 class Point{
+    // number of floats of a point in the vertex buffer: x, y, z, r, g, b, u, v
+    static VERTEX_SIZE = 8;
+
     /**
      * Create a point with given x, y in canvas coordinate system,
      * and convert it to WebGL coordinate system
@@ -17,7 +62,12 @@ class Point{
         this.x = 0;
         this.y = 0;
         this.z = 0;
+        // position of the point in Shapes.points, assigned by Shapes
+        this.index = -1;
         [this.x, this.y] = Point.canvasCoordinateToWebGL(xInCanvas, yInCanvas, widthOfCanvas, heightOfCanvas);
+        // texture coordinates, by default the image covers the whole canvas
+        this.u = xInCanvas / widthOfCanvas;
+        this.v = 1 - yInCanvas / heightOfCanvas;
     }
 
     /**
@@ -36,14 +86,18 @@ class Point{
     }
 
     /**
-     * Check if the clicked position is in the circle with given radius of the point
-     * @param {number} clickedX - xInWebGL
-     * @param {number} clickedY - yInWebGL
-     * @param {number} radius - radius of the circle (default 0.1)
-     * @returns {boolean}
+     * Convert the WebGL coordinate to canvas coordinate
+     * @param {number} xInWebGL
+     * @param {number} yInWebGL
+     * @param {number} widthOfCanvas
+     * @param {number} heightOfCanvas
+     * @returns {number[]} [xInCanvas, yInCanvas]
      */
-    isInPointCircle(clickedX, clickedY, radius = 0.1) {
-        return Math.sqrt((clickedX - this.x) ** 2 + (clickedY - this.y) ** 2) < radius;
+    static webGLCoordinateToCanvas(xInWebGL, yInWebGL, widthOfCanvas, heightOfCanvas){
+        return [
+            (xInWebGL + 1) * widthOfCanvas / 2,
+            (1 - yInWebGL) * heightOfCanvas / 2,
+        ];
     }
 
     /**
@@ -62,11 +116,24 @@ class Point{
     }
 
     /**
-     * Get the position and color of the point
-     * @returns {number[]} [x, y, z, r, g, b]
+     * Set the texture coordinates of the point, (0, 0) is the bottom left corner of the image and (1, 1) the top right
+     * @param {number} u
+     * @param {number} v
+     */
+    setUV(u, v){
+        if(!Number.isFinite(u) || !Number.isFinite(v)){
+            throw new Error("Texture coordinates must be numbers");
+        }
+        this.u = u;
+        this.v = v;
+    }
+
+    /**
+     * Get the position, color and texture coordinates of the point
+     * @returns {number[]} [x, y, z, r, g, b, u, v]
      */
-    getPosWithColors(){
-        return [this.x, this.y, this.z, this.r, this.g, this.b];
+    getVertexData(){
+        return [this.x, this.y, this.z, this.r, this.g, this.b, this.u, this.v];
     }
 }
 
@@ -85,463 +152,4706 @@ class Triangle{
     }
 
     /**
-     * Get the vertices of the triangle with colors
-     * @returns {number[]} [x1, y1, z1, r1, g1, b1, x2, y2, ..., x3, y3, ...]
+     * Get the indices of the three points in Shapes.points
+     * @returns {number[]} [i1, i2, i3]
      */
-    getVerticesWithColors(){
-        return [...this.p1.getPosWithColors(), ...this.p2.getPosWithColors(), ...this.p3.getPosWithColors()];
+    get indices(){
+        return [this.p1.index, this.p2.index, this.p3.index];
     }
 
 }
 
 /**
- * @class Shapes
- * A class to store positions and colors of points and triangles
+ * @class Triangulator
+ * A helper class to split a simple polygon into triangles by ear clipping
+ *
+ * All computations are done with the x, y coordinates of the points in WebGL coordinate system
  */
-class Shapes {
+class Triangulator{
+    // tolerance used for the area and orientation tests
+    static EPSILON = 1e-12;
 
     /**
-     * Create with given HTML Canvas element, width and height
-     * @constructor
-     * @param {HTMLCanvasElement} dom
-     * @param {number} width
-     * @param {number} height
+     * Twice the signed area of the triangle (o, a, b), positive if counter-clockwise
+     * @param {Point} o
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {number}
      */
-    constructor(dom, width, height) {
-        dom.height = height
-        dom.width = width
-        this.dom = dom;
-        this.points = [];
-        this.triangles = [];
+    static cross(o, a, b){
+        return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
     }
 
-    get width(){
-        return this.dom.width;
+    /**
+     * Signed area of the polygon, positive if counter-clockwise
+     * @param {Point[]} points - vertices of the polygon in order
+     * @returns {number}
+     */
+    static signedArea(points){
+        let area = 0;
+        for(let i = 0, j = points.length - 1; i < points.length; j = i++){
+            area += points[j].x * points[i].y - points[i].x * points[j].y;
+        }
+        return area / 2;
     }
-    get height(){
-        return this.dom.height;
+
+    /**
+     * Check if point p lies on the segment (a, b), given that the three points are collinear
+     * @param {Point} p
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {boolean}
+     */
+    static isOnSegment(p, a, b){
+        return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+            Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
     }
-    get trianglesCount(){
-        return this.triangles.length;
+
+    /**
+     * Check if segment (p1, p2) and segment (q1, q2) intersect or touch each other
+     * @param {Point} p1
+     * @param {Point} p2
+     * @param {Point} q1
+     * @param {Point} q2
+     * @returns {boolean}
+     */
+    static segmentsIntersect(p1, p2, q1, q2){
+        let d1 = Triangulator.cross(q1, q2, p1);
+        let d2 = Triangulator.cross(q1, q2, p2);
+        let d3 = Triangulator.cross(p1, p2, q1);
+        let d4 = Triangulator.cross(p1, p2, q2);
+        let eps = Triangulator.EPSILON;
+        if(((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
+            ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps))){
+            return true;
+        }
+        return (Math.abs(d1) <= eps && Triangulator.isOnSegment(p1, q1, q2)) ||
+            (Math.abs(d2) <= eps && Triangulator.isOnSegment(p2, q1, q2)) ||
+            (Math.abs(d3) <= eps && Triangulator.isOnSegment(q1, p1, p2)) ||
+            (Math.abs(d4) <= eps && Triangulator.isOnSegment(q2, p1, p2));
     }
 
     /**
-     * Add a point to the shapes
-     * @param {number} xInCanvas - x coordinate in canvas coordinate system
-     * @param {number} yInCanvas - y coordinate in canvas coordinate system
-     * @param {number} r - red color value [0-255]
-     * @param {number} g - green color value [0-255]
-     * @param {number} b - blue color value [0-255]
+     * Check if point p is inside or on the border of the counter-clockwise triangle (a, b, c)
+     * @param {Point} p
+     * @param {Point} a
+     * @param {Point} b
+     * @param {Point} c
+     * @returns {boolean}
      */
-    addPoint(xInCanvas, yInCanvas, r, g, b){
-        let p = new Point(xInCanvas, yInCanvas, this.width, this.height);
-        p.setColor(r, g, b);
-        this.points.push(p);
+    static isInTriangle(p, a, b, c){
+        let eps = Triangulator.EPSILON;
+        return Triangulator.cross(a, b, p) >= -eps &&
+            Triangulator.cross(b, c, p) >= -eps &&
+            Triangulator.cross(c, a, p) >= -eps;
     }
 
     /**
-     * Add a polygon as two triangles to the shapes
-     * @param {number[]} pointIndices - indices of the points in the shapes
+     * Check that the points form a simple polygon
+     *
+     * throw an error if the polygon has repeated or overlapping vertices, zero area or crossing edges
+     * @param {Point[]} points - vertices of the polygon in order
      */
-    addPolygon(pointIndices){
-        if(pointIndices.length !== 4){
-            throw new Error("Polygon must have exactly 4 points");
-        }else if(pointIndices.some(i => i < 0 || i >= this.points.length)){
-            throw new Error("Point index out of bounds");
+    static validate(points){
+        let n = points.length;
+        if(n < 3){
+            throw new Error("Polygon must have at least 3 points");
+        }
+        if(new Set(points).size !== n){
+            throw new Error("Polygon has repeated points");
+        }
+        for(let i = 0; i < n; i++){
+            let a = points[i], b = points[(i + 1) % n];
+            if(a.x === b.x && a.y === b.y){
+                throw new Error("Polygon is degenerate: two adjacent points overlap");
+            }
+        }
+        for(let i = 0; i < n; i++){
+            let a = points[i], b = points[(i + 1) % n], c = points[(i + 2) % n];
+            // adjacent edges only share one point, unless the second one folds back onto the first one
+            if(Math.abs(Triangulator.cross(a, b, c)) <= Triangulator.EPSILON &&
+                (a.x - b.x) * (c.x - b.x) + (a.y - b.y) * (c.y - b.y) > 0){
+                throw new Error("Polygon is self-intersecting");
+            }
+            // other edges must not meet at all
+            for(let j = i + 2; j < n; j++){
+                if(i === 0 && j === n - 1){
+                    continue;
+                }
+                if(Triangulator.segmentsIntersect(a, b, points[j], points[(j + 1) % n])){
+                    throw new Error("Polygon is self-intersecting");
+                }
+            }
+        }
+        if(Math.abs(Triangulator.signedArea(points)) <= Triangulator.EPSILON){
+            throw new Error("Polygon is degenerate: its area is zero");
         }
-
-        let points = pointIndices.map(i => this.points[i]);
-        this.triangles.push(new Triangle(points[0], points[1], points[2]));
-        this.triangles.push(new Triangle(points[0], points[2], points[3]));
     }
 
     /**
-     * Get the vertices of all the triangles with colors
-     * @returns {Float32Array}
+     * Check that the outer ring and the hole rings form a valid polygon with holes
+     *
+     * each ring must be simple, the rings must not share points or touch each other,
+     * and every hole must lie inside the outer ring but outside the other holes
+     * @param {Point[]} outer - vertices of the outer ring in order
+     * @param {Point[][]} holes - vertices of each hole ring in order
      */
-    getVerticesWithColors(){
-        return new Float32Array(
-            this.triangles.reduce((acc, t) => [...acc, ...t.getVerticesWithColors()], [])
-        );
+    static validateHoles(outer, holes){
+        let rings = [outer, ...holes];
+        rings.forEach(r => Triangulator.validate(r));
+        if(new Set(rings.flat()).size !== rings.reduce((acc, r) => acc + r.length, 0)){
+            throw new Error("Polygon rings share points");
+        }
+        for(let i = 0; i < rings.length; i++){
+            for(let j = i + 1; j < rings.length; j++){
+                if(Triangulator.ringsIntersect(rings[i], rings[j])){
+                    throw new Error("Polygon rings intersect each other");
+                }
+            }
+        }
+        holes.forEach((hole, i) => {
+            if(!Triangulator.isInRing(hole[0], outer)){
+                throw new Error("Hole is outside the polygon");
+            }
+            if(holes.some((other, j) => j !== i && Triangulator.isInRing(hole[0], other))){
+                throw new Error("Hole is inside another hole");
+            }
+        });
     }
 
-}
+    /**
+     * Check if any edge of ring a meets any edge of ring b
+     * @param {Point[]} a
+     * @param {Point[]} b
+     * @returns {boolean}
+     */
+    static ringsIntersect(a, b){
+        for(let i = 0; i < a.length; i++){
+            for(let j = 0; j < b.length; j++){
+                if(Triangulator.segmentsIntersect(a[i], a[(i + 1) % a.length], b[j], b[(j + 1) % b.length])){
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
 
-/**
- * @class Transform
- * A class to store and update the transform matrix of the shapes
- */
-class Transform{
+    /**
+     * Check if point p is strictly inside the ring (even-odd rule)
+     * @param {Point} p
+     * @param {Point[]} ring
+     * @returns {boolean}
+     */
+    static isInRing(p, ring){
+        let inside = false;
+        for(let i = 0, j = ring.length - 1; i < ring.length; j = i++){
+            let a = ring[i], b = ring[j];
+            if((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x){
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
 
-    constructor(){
-        this.rotationAngle = 0;
-        this.scale = 1;
-        this.isShrink = true;
-        this.lastTimeRecord = Date.now();
-        this.modelMatrix = new Matrix4().setIdentity();
+    /**
+     * Split a simple polygon (convex or concave), optionally with holes, into triangles
+     * @param {Point[]} points - vertices of the polygon in order, either clockwise or counter-clockwise
+     * @param {Point[][]} holes - vertices of each hole in order, either clockwise or counter-clockwise
+     * @returns {Point[][]} [[p1, p2, p3], ...] - counter-clockwise triangles
+     */
+    static triangulate(points, holes = []){
+        if(holes.length === 0){
+            Triangulator.validate(points);
+        }else{
+            Triangulator.validateHoles(points, holes);
+        }
+        let ring = Triangulator.signedArea(points) > 0 ? [...points] : [...points].reverse();
+        // holes are merged into the outer ring one by one, starting from the rightmost one
+        let pending = holes.map(h => Triangulator.signedArea(h) < 0 ? [...h] : [...h].reverse());
+        pending.sort((a, b) => Math.max(...b.map(p => p.x)) - Math.max(...a.map(p => p.x)));
+        while(pending.length > 0){
+            ring = Triangulator.bridgeHole(ring, pending.shift(), pending);
+        }
+        return Triangulator.earClip(ring);
     }
 
-    get modelMatrixElements(){
-        return this.modelMatrix.elements;
+    /**
+     * Check if point m lies in the interior angle of the ring at its i-th vertex
+     * @param {Point[]} ring - counter-clockwise ring
+     * @param {number} i
+     * @param {Point} m
+     * @returns {boolean}
+     */
+    static isInCorner(ring, i, m){
+        let n = ring.length;
+        let a = ring[(i + n - 1) % n], v = ring[i], b = ring[(i + 1) % n];
+        if(Triangulator.cross(a, v, b) > 0){
+            return Triangulator.cross(a, v, m) > 0 && Triangulator.cross(v, b, m) > 0;
+        }
+        return Triangulator.cross(a, v, m) > 0 || Triangulator.cross(v, b, m) > 0;
     }
 
     /**
-     * Start the transform animation
+     * Merge a clockwise hole into the counter-clockwise outer ring
      *
-     * record the time for calculating the elapsed time
+     * the rightmost point of the hole is connected to the nearest visible point of the ring with a bridge,
+     * which is walked once in each direction, so the result is a single (weakly simple) ring
+     * @param {Point[]} ring - counter-clockwise outer ring
+     * @param {Point[]} hole - clockwise hole ring
+     * @param {Point[][]} others - holes which are not merged yet, the bridge must not cross them
+     * @returns {Point[]} the merged ring
      */
-    startTransform(){
-        this.lastTimeRecord = Date.now();
+    static bridgeHole(ring, hole, others){
+        let mIndex = hole.reduce((best, p, i) => p.x > hole[best].x ? i : best, 0);
+        let m = hole[mIndex];
+        let obstacles = [ring, hole, ...others];
+        let candidates = ring.map((p, i) => i)
+            .sort((i, j) => Math.hypot(ring[i].x - m.x, ring[i].y - m.y) - Math.hypot(ring[j].x - m.x, ring[j].y - m.y));
+        let vIndex = candidates.find(i => {
+            let v = ring[i];
+            if(!Triangulator.isInCorner(ring, i, m)){
+                return false;
+            }
+            return obstacles.every(r => r.every((a, k) => {
+                let b = r[(k + 1) % r.length];
+                let touches = p => (p.x === v.x && p.y === v.y) || p === m;
+                return touches(a) || touches(b) || !Triangulator.segmentsIntersect(v, m, a, b);
+            }));
+        });
+        if(vIndex === undefined){
+            throw new Error("Failed to connect the hole to the polygon");
+        }
+        let holeFromM = [...hole.slice(mIndex), ...hole.slice(0, mIndex)];
+        return [...ring.slice(0, vIndex + 1), ...holeFromM, m, ring[vIndex], ...ring.slice(vIndex + 1)];
     }
 
     /**
-     * Update the transform matrix
+     * Ear clipping on a counter-clockwise ring
      *
-     * use the elapsed time to calculate the rotation angle and scale
+     * A vertex is an ear if its corner is convex and no other vertex of the ring lies inside the corner triangle.
+     * Collinear vertices which never become ears are dropped at the end, as they only produce zero-area triangles.
+     * @param {Point[]} ring - counter-clockwise vertices, will be consumed
+     * @returns {Point[][]} [[p1, p2, p3], ...]
      */
-    updateTransform(){
-        // calculate the elapsed time
-        let now = Date.now();
-        let elapsed = now - this.lastTimeRecord;
-        this.lastTimeRecord = now;
-
-        // rotate 45 degrees per second
-        this.rotationAngle = (this.rotationAngle + elapsed / 1000 * 45) % 360;
-
-        // scale between 0.2 and 1, at the speed of 0.2 per second
-        if(this.isShrink){
-            this.scale -= 0.2 * elapsed / 1000;
-            if(this.scale <= 0.2) {
-                this.scale = 0.2;
-                this.isShrink = false;
+    static earClip(ring){
+        let triangles = [];
+        while(ring.length > 3){
+            let n = ring.length;
+            let earIndex = -1;
+            let flatIndex = -1;
+            for(let i = 0; i < n && earIndex < 0; i++){
+                let a = ring[(i + n - 1) % n], b = ring[i], c = ring[(i + 1) % n];
+                let area = Triangulator.cross(a, b, c);
+                if(area <= Triangulator.EPSILON){
+                    if(Math.abs(area) <= Triangulator.EPSILON && flatIndex < 0){
+                        flatIndex = i;
+                    }
+                    continue;
+                }
+                let isEar = ring.every(p => p === a || p === b || p === c ||
+                    (p.x === a.x && p.y === a.y) || (p.x === b.x && p.y === b.y) || (p.x === c.x && p.y === c.y) ||
+                    !Triangulator.isInTriangle(p, a, b, c));
+                if(isEar){
+                    earIndex = i;
+                }
             }
-        }else{
-            this.scale += 0.2 *  elapsed / 1000;
-            if(this.scale >= 1) {
-                this.scale = 1;
-                this.isShrink = true;
+            if(earIndex >= 0){
+                triangles.push([ring[(earIndex + n - 1) % n], ring[earIndex], ring[(earIndex + 1) % n]]);
+                ring.splice(earIndex, 1);
+            }else if(flatIndex >= 0){
+                ring.splice(flatIndex, 1);
+            }else{
+                throw new Error("Failed to triangulate the polygon");
             }
         }
-
-        // update the transform matrix
-        this.modelMatrix.setRotate(this.rotationAngle, 0, 0, 1);
-        this.modelMatrix.scale(this.scale, this.scale, 1);
+        if(Triangulator.cross(ring[0], ring[1], ring[2]) > Triangulator.EPSILON){
+            triangles.push([ring[0], ring[1], ring[2]]);
+        }
+        return triangles;
     }
 }
 
 /**
- * @class Renderer
- * A class to render the shapes with transform
+ * @class Polygon
+ * A class to store the points of a polygon and the triangles it is split into
  *
- * Fetch vertex data from class Shapes and transform data from class Transform
+ * A polygon is not changed after created, Shapes replaces it with a new one instead
  */
-class Renderer{
-    // Vertex shader program
-    V_SHADER_SOURCE =
-        'attribute vec4 a_Position;\n' +
-        'attribute vec4 a_Color;\n' +
-        'uniform mat4 u_ModelMatrix;\n' +
-        'varying vec4 v_Color;\n' +
-        'void main() {\n' +
-        '  gl_Position = u_ModelMatrix * a_Position;\n' +
-        '  v_Color = a_Color;\n' +
-        '}\n';
-
-    // Fragment shader program
-    F_SHADER_SOURCE =
-        'precision mediump float;\n' +
-        'varying vec4 v_Color;\n' +
-        'void main() {\n' +
-        '  gl_FragColor = v_Color;\n' +
-        '}\n';
-
+class Polygon{
     /**
-     * Create a renderer with given shapes and transform,
-     * and initialize the webgl context, shaders and buffers
+     * Create a polygon with given points and holes, and triangulate it
      * @constructor
-     * @param {Shapes} shapes
-     * @param {Transform} transform
-     * @param {number[]} border_color - r, g, b [0-1]
+     * @param {Point[]} points - vertices of the outer ring in order
+     * @param {Point[][]} holes - vertices of each hole ring in order (default none)
      */
-    constructor(shapes, transform, border_color){
-        this.shapes = shapes;
-        this.transform = transform;
-        this.border_color = border_color
-
-        this.gl = getWebGLContext(this.shapes.dom);
-        if (!this.gl) {
-            throw new Error('Failed to get the rendering context for WebGL');
-        }
-        if (!initShaders(this.gl, this.V_SHADER_SOURCE, this.F_SHADER_SOURCE)) {
-            throw new Error('Failed to initialize shaders.');
-        }
-        this.vertexColorBuffer = this.gl.createBuffer();
-        if (!this.vertexColorBuffer) {
-            throw new Error('Failed to create the buffer object');
-        }
-        this.u_ModelMatrix = this.gl.getUniformLocation(this.gl.program, 'u_ModelMatrix');
-        if (!this.u_ModelMatrix) {
-            throw new Error('Failed to get the storage location of u_ModelMatrix');
-        }
-        this.initVertexBuffer();
+    constructor(points, holes = []){
+        this.points = points;
+        this.holes = holes;
+        // color of the border lines of the polygon, null for the default border color
+        this.borderColor = null;
+        this.triangles = Triangulator.triangulate(points, holes).map(t => new Triangle(...t));
     }
 
     /**
-     * Initialize the vertex buffer
-     *
-     * Notice: being called in the constructor
-     * @method
+     * Get all the boundary rings of the polygon
+     * @returns {Point[][]} [outer, hole1, hole2, ...]
      */
-    initVertexBuffer(){
-        let emptyVertices = new Float32Array([])
-
-        // Bind the buffer object to target
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexColorBuffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, emptyVertices, this.gl.DYNAMIC_DRAW);
-        let F_SIZE = emptyVertices.BYTES_PER_ELEMENT;
-
-        //Get the storage location of a_Position, assign and enable buffer
-        let a_Position = this.gl.getAttribLocation(this.gl.program, 'a_Position');
-        if (a_Position < 0) {
-            throw new Error('Failed to get the storage location of a_Position');
-        }
-        this.gl.vertexAttribPointer(a_Position, 3, this.gl.FLOAT, false, F_SIZE * 6, 0);
-        this.gl.enableVertexAttribArray(a_Position);
-
-        // Get the storage location of a_Color, assign and enable buffer
-        let a_Color = this.gl.getAttribLocation(this.gl.program, 'a_Color');
-        if(a_Color < 0) {
-            throw new Error('Failed to get the storage location of a_Color');
-        }
-        this.gl.vertexAttribPointer(a_Color, 3, this.gl.FLOAT, false, F_SIZE * 6, F_SIZE * 3);
-        this.gl.enableVertexAttribArray(a_Color);
-
-        // Unbind the buffer object
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
+    get rings(){
+        return [this.points, ...this.holes];
     }
 
     /**
-     * Render the shapes
-     *
-     * Notice: fetch data from this.shapes and this.transform
-     * @param {boolean} needBorder - whether to render the border
+     * Create a polygon with other rings but the same border color
+     * @param {Point[]} points - vertices of the outer ring in order
+     * @param {Point[][]} holes - vertices of each hole ring in order
+     * @returns {Polygon}
      */
-    render(needBorder){
-        // Render Shapes
-        // Pass the vertices and colors to the shader
-        let verticesColors = this.shapes.getVerticesWithColors();
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexColorBuffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, verticesColors, this.gl.DYNAMIC_DRAW);
-
-        // Pass the transformation matrix to the shader
-        this.gl.uniformMatrix4fv(this.u_ModelMatrix, false, this.transform.modelMatrixElements);
-
-        // Clear and Draw
-        this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
-        this.gl.drawArrays(this.gl.TRIANGLES, 0, this.shapes.trianglesCount * 3);
+    withRings(points, holes){
+        let polygon = new Polygon(points, holes);
+        polygon.borderColor = this.borderColor;
+        return polygon;
+    }
 
-        // Render Border
-        if(!needBorder){
-            return;
-        }
-        // Change the colors of vertices to border color
-        for(let i = 0; i < verticesColors.length; i+=6){
-            verticesColors[i+3] = this.border_color[0];
-            verticesColors[i+4] = this.border_color[1];
-            verticesColors[i+5] = this.border_color[2];
+    /**
+     * Set the color of the border lines of the polygon of normalized value [0, 1]
+     * @param {number} r [0-255]
+     * @param {number} g [0-255]
+     * @param {number} b [0-255]
+     */
+    setBorderColor(r, g, b){
+        if(r < 0 || r > 255 || g < 0 || g > 255 || b < 0 || b > 255){
+            throw new Error("Color out of bounds");
         }
+        this.borderColor = [r / 255, g / 255, b / 255];
+    }
 
-        // Pass the borders and colors to the shader
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, verticesColors, this.gl.DYNAMIC_DRAW);
-
-        // Draw the borders
-        for(let i = 0; i < this.shapes.trianglesCount; i++){
-            this.gl.drawArrays(this.gl.LINE_LOOP, i * 3, 3);
-        }
+}
 
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
+/**
+ * @class HalfEdge
+ * A directed edge on a boundary ring of a face, with the face on its left side
+ */
+class HalfEdge{
+    /**
+     * Create a half edge from origin to target of the face
+     * @constructor
+     * @param {Point} origin
+     * @param {Point} target
+     * @param {Polygon} face
+     */
+    constructor(origin, target, face){
+        this.origin = origin;
+        this.target = target;
+        this.face = face;
+        // the following and preceding half edges in the same ring
+        this.next = null;
+        this.prev = null;
+        // the half edge of the neighbouring face in the opposite direction, null on the boundary or a non-manifold edge
+        this.twin = null;
     }
 
 }
 
 /**
- * @class Controller
- * A class which control the renderer for show/hide border, drag vertex and animation
+ * @class MeshTopology
+ * A half edge structure of the polygons in Shapes, to answer adjacency queries without scanning all the polygons
+ *
+ * Every ring of a polygon becomes a loop of half edges, outer rings counterclockwise and holes clockwise,
+ * so the face is always on the left; an edge shared by more than two faces is allowed but has no twins
  */
-class Controller{
+class MeshTopology{
     /**
+     * Create an empty topology
      * @constructor
-     * Create a controller with given renderer
-     * @param {Renderer} renderer
      */
-    constructor(renderer) {
-        this.renderer = renderer;
-        this.isShowBorder = true;
-        this.animationID = null;
+    constructor(){
+        // Point -> HalfEdge[] starting from the point, isolated points have an empty list
+        this.outgoing = new Map();
+        // Point -> Map(Point -> HalfEdge[]) of the half edges between the two points in either direction,
+        // both points share the same list
+        this.edges = new Map();
+        // Polygon -> HalfEdge[] of all its rings
+        this.faces = new Map();
+    }
 
-        this.drag_flag = false;
-        this.drag_point = null;
-        this.drag_offset = [0, 0];
+    /**
+     * Remove all the vertices and faces
+     */
+    clear(){
+        this.outgoing.clear();
+        this.edges.clear();
+        this.faces.clear();
     }
 
     /**
-     * Tell the renderer to render the shapes
-     *
-     * use this.isShowBorder to determine whether to render the border
+     * Build the topology again from the points and polygons
+     * @param {Point[]} points
+     * @param {Polygon[]} polygons
      */
-    render(){
-        this.renderer.render(this.isShowBorder);
+    rebuild(points, polygons){
+        this.clear();
+        points.forEach(p => this.addVertex(p));
+        polygons.forEach(p => this.addFace(p));
     }
 
-    startAnimation(){
-        this.renderer.transform.startTransform();
-        this.updateAnimation();
+    /**
+     * Add a vertex without any edges
+     * @param {Point} point
+     */
+    addVertex(point){
+        if(!this.outgoing.has(point)){
+            this.outgoing.set(point, []);
+        }
     }
 
-    updateAnimation(){
-        this.renderer.transform.updateTransform();
-        this.render();
-        this.animationID = requestAnimationFrame(() => this.updateAnimation());
+    /**
+     * Add the half edges of all the rings of the polygon and link them with their neighbours
+     * @param {Polygon} polygon
+     */
+    addFace(polygon){
+        if(this.faces.has(polygon)){
+            throw new Error("Face is already in the topology");
+        }
+        let halfEdges = [];
+        polygon.rings.forEach((ring, i) => {
+            let isOuter = i === 0;
+            if((Triangulator.signedArea(ring) > 0) !== isOuter){
+                ring = [...ring].reverse();
+            }
+            let loop = ring.map((p, j) => new HalfEdge(p, ring[(j + 1) % ring.length], polygon));
+            loop.forEach((h, j) => {
+                h.next = loop[(j + 1) % loop.length];
+                h.prev = loop[(j + loop.length - 1) % loop.length];
+                this.addVertex(h.origin);
+                this.outgoing.get(h.origin).push(h);
+                this.getOrCreateEdge(h.origin, h.target).push(h);
+            });
+            halfEdges.push(...loop);
+        });
+        this.faces.set(polygon, halfEdges);
+        halfEdges.forEach(h => this.linkTwins(this.getHalfEdges(h.origin, h.target)));
     }
 
-    stopAnimation(){
-        cancelAnimationFrame(this.animationID);
-        this.animationID = null;
+    /**
+     * Get the list of half edges between two points, created if not exist
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {HalfEdge[]}
+     */
+    getOrCreateEdge(a, b){
+        [a, b].forEach(p => {
+            if(!this.edges.has(p)){
+                this.edges.set(p, new Map());
+            }
+        });
+        if(!this.edges.get(a).has(b)){
+            let halfEdges = [];
+            this.edges.get(a).set(b, halfEdges);
+            this.edges.get(b).set(a, halfEdges);
+        }
+        return this.edges.get(a).get(b);
     }
 
     /**
-     * coordinate stored in Shapes -> coordinate after rotation and scale
-     * @param {number} x - x coordinate of the point stored in Shapes
-     * @param {number} y - y coordinate of the point stored in Shapes
-     * @returns {[number, number]} - coordinate after rotation and scale
+     * Set the twins of the half edges of one edge, only when there are exactly two faces in opposite directions
+     * @param {HalfEdge[]} halfEdges
      */
-    transformPoint(x, y){
-        let vec = this.renderer.transform.modelMatrix.multiplyVector4(new Vector4([x, y, 0, 1]));
-        return [vec.elements[0], vec.elements[1]];
+    linkTwins(halfEdges){
+        let isManifold = halfEdges.length === 2 && halfEdges[0].origin === halfEdges[1].target;
+        halfEdges.forEach((h, i) => h.twin = isManifold ? halfEdges[1 - i] : null);
     }
 
     /**
-     * coordinate after rotation and scale -> coordinate stored in Shapes
-     * @param {number} x - x coordinate of the point after rotation and scale
-     * @param {number} y - y coordinate of the point after rotation and scale
-     * @returns {[number, number]} - coordinate stored in Shapes
+     * Check if the point is a vertex of the topology
+     * @param {Point} point
+     * @returns {boolean}
      */
-    inverseTransformPoint(x, y){
-        let inverseModelMatrix = new Matrix4().setInverseOf(this.renderer.transform.modelMatrix)
-        let vec = inverseModelMatrix.multiplyVector4(new Vector4([x, y, 0, 1]));
-        return [vec.elements[0], vec.elements[1]];
+    hasVertex(point){
+        return this.outgoing.has(point);
     }
 
     /**
-     * Handle mouse down event
-     * @param {number} clientX - x coordinate of the mouse in canvas system
-     * @param {number} clientY - y coordinate of the mouse in canvas system
+     * Get the half edges between two points in either direction
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {HalfEdge[]}
      */
-    mouseDown(clientX, clientY){
-        // coordinate in canvas system -> coordinate in webgl system -> coordinate before rotation and scale
-        let clickedPoint, inv_clickedPoint;
-        clickedPoint = Point.canvasCoordinateToWebGL(clientX, clientY,
-            this.renderer.shapes.width, this.renderer.shapes.height);
-        inv_clickedPoint = this.inverseTransformPoint(...clickedPoint);
+    getHalfEdges(a, b){
+        let edges = this.edges.get(a);
+        return edges && edges.has(b) ? edges.get(b) : [];
+    }
 
-        // check whether there are any points near the clicked position
-        let point = this.renderer.shapes.points.find(p => p.isInPointCircle(...inv_clickedPoint))
-        if(point){
-            this.drag_flag = true;
-            this.drag_point = point;
-            // save the offset between the clicked position and the point coordinate after rotation and scale
-            let trans_point = this.transformPoint(point.x, point.y);
-            this.drag_offset = [clickedPoint[0] - trans_point[0], clickedPoint[1] - trans_point[1]];
-        }
+    /**
+     * Get all the edges, each edge is returned once in the direction of its first half edge
+     * @returns {Point[][]} [[a, b], ...]
+     */
+    getEdges(){
+        let edges = [];
+        this.edges.forEach((halfEdges, a) => halfEdges.forEach((list, b) => {
+            if(list[0].origin === a){
+                edges.push([a, b]);
+            }
+        }));
+        return edges;
     }
 
     /**
-     * Handle mouse move event
-     * @param {number} clientX - x coordinate of the mouse in canvas system
-     * @param {number} clientY - y coordinate of the mouse in canvas system
+     * Get the faces having an edge between two points
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {Polygon[]}
      */
-    mouseMove(clientX, clientY){
-        if(this.drag_flag){
-            // clicked position in canvas system -> clicked position in webgl system
-            let clickedPoint, tx, ty;
-            clickedPoint = Point.canvasCoordinateToWebGL(clientX, clientY,
-                this.renderer.shapes.width, this.renderer.shapes.height);
-            // clicked position in webgl system -> actual point coordinate after rotation and scale
-            tx = clickedPoint[0] - this.drag_offset[0];
-            ty = clickedPoint[1] - this.drag_offset[1];
-            // actual point coordinate after rotation and scale -> actual point coordinate stored in Shapes
-            let inv_point = this.inverseTransformPoint(tx, ty);
-            this.drag_point.x = inv_point[0];
-            this.drag_point.y = inv_point[1];
-            // redraw the shapes
-            this.render();
-        }
+    getEdgeFaces(a, b){
+        return [...new Set(this.getHalfEdges(a, b).map(h => h.face))];
     }
 
     /**
-     * Handle mouse up event
+     * Get the points connected to the point by an edge
+     * @param {Point} point
+     * @returns {Point[]}
      */
-    mouseUp(){
-        this.drag_flag = false;
-        this.drag_point = null;
-        this.drag_offset = [0, 0];
+    getNeighbors(point){
+        let edges = this.edges.get(point);
+        return edges ? [...edges.keys()] : [];
     }
 
-}
+    /**
+     * Get the faces having the point as a vertex
+     * @param {Point} point
+     * @returns {Polygon[]}
+     */
+    getVertexFaces(point){
+        return [...new Set((this.outgoing.get(point) || []).map(h => h.face))];
+    }
 
-/**
- * @class InteractionManager
- * A class which handle the interaction between user and the program
- */
-class InteractionManager{
     /**
-     * Create an interaction manager with given controller and HTML elements
-     *
-     * add event listeners of keyboard stroke and mouse drag
-     * @constructor
-     * @param {Controller} controller
+     * Check if the edge between two points is on the boundary of the mesh, i.e. used by exactly one face
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {boolean}
+     */
+    isBoundaryEdge(a, b){
+        return this.getHalfEdges(a, b).length === 1;
+    }
+
+    /**
+     * Get the loops of boundary edges, each loop follows the direction of its half edges
+     *
+     * at a vertex where several loops touch, they are split arbitrarily
+     * @returns {Point[][]} points of each loop in order
+     */
+    getBoundaryLoops(){
+        let visited = new Set();
+        let isBoundary = h => !visited.has(h) && this.isBoundaryEdge(h.origin, h.target);
+        let loops = [];
+        this.faces.forEach(halfEdges => halfEdges.filter(isBoundary).forEach(start => {
+            if(visited.has(start)){
+                return;
+            }
+            let loop = [];
+            let h = start;
+            while(h){
+                visited.add(h);
+                loop.push(h.origin);
+                h = this.outgoing.get(h.target).find(isBoundary);
+            }
+            loops.push(loop);
+        }));
+        return loops;
+    }
+
+    /**
+     * Check if the edge between two points is manifold, i.e. used by one face, or two faces on different sides
+     * @param {Point} a
+     * @param {Point} b
+     * @returns {boolean}
+     */
+    isManifoldEdge(a, b){
+        let halfEdges = this.getHalfEdges(a, b);
+        return halfEdges.length === 1 || (halfEdges.length === 2 && halfEdges[0].twin !== null);
+    }
+
+    /**
+     * Check if the point is a manifold vertex, i.e. the faces around it form a single fan connected by its edges
+     * @param {Point} point
+     * @returns {boolean}
+     */
+    isManifoldVertex(point){
+        let outgoing = this.outgoing.get(point) || [];
+        if(outgoing.length === 0){
+            return true;
+        }
+        // walk around the vertex clockwise from the first corner through the twins, and counterclockwise back
+        let fan = new Set();
+        for(let h = outgoing[0]; h && !fan.has(h); h = h.twin && h.twin.next){
+            fan.add(h);
+        }
+        for(let h = outgoing[0].prev.twin; h && !fan.has(h); h = h.prev.twin){
+            fan.add(h);
+        }
+        return fan.size === outgoing.length;
+    }
+
+    /**
+     * Check if the whole mesh is manifold
+     * @returns {boolean}
+     */
+    isManifold(){
+        return this.getEdges().every(([a, b]) => this.isManifoldEdge(a, b)) &&
+            [...this.outgoing.keys()].every(p => this.isManifoldVertex(p));
+    }
+
+}
+
+/**
+ * @class SubdivisionSurface
+ * The smooth mesh refined from the polygons of Shapes, which stay as its control cage
+ *
+ * Loop subdivision is used if all the polygons are triangles, otherwise Catmull-Clark, which turns every face
+ * into quads. Both are linear, so every refined vertex is kept as a stencil (weights of the control points),
+ * and moving the control points only needs the stencils to be evaluated again.
+ * Boundary edges (and edges shared by more than two faces) are kept as creases.
+ */
+class SubdivisionSurface{
+    static MAX_LEVEL = 4;
+    // attributes of the points interpolated by the stencils, in the order of the vertex buffer
+    static ATTRIBUTES = ['x', 'y', 'z', 'r', 'g', 'b', 'u', 'v'];
+
+    /**
+     * Subdivide the polygons several times
+     * @constructor
+     * @param {Point[]} points - control points, with their indices up to date
+     * @param {Polygon[]} polygons - without holes
+     * @param {number} level - times of subdivision [1, SubdivisionSurface.MAX_LEVEL]
+     */
+    constructor(points, polygons, level){
+        if(!Number.isInteger(level) || level < 1 || level > SubdivisionSurface.MAX_LEVEL){
+            throw new Error(`Subdivision level must be an integer in [1, ${SubdivisionSurface.MAX_LEVEL}]`);
+        }else if(polygons.some(p => p.holes.length > 0)){
+            throw new Error("Polygons with holes can not be subdivided");
+        }
+        this.level = level;
+        this.scheme = polygons.length > 0 && polygons.every(p => p.points.length === 3) ? 'loop' : 'catmull-clark';
+
+        // the first refined vertices are always the moved control points, then the new ones of each level
+        let mesh = {
+            stencils: points.map((_, i) => [[i, 1]]),
+            faces: polygons.map(p => p.points.map(q => q.index)),
+            owners: polygons
+        };
+        for(let i = 0; i < level; i++){
+            mesh = this.scheme === 'loop' ? SubdivisionSurface.loopStep(mesh) : SubdivisionSurface.catmullClarkStep(mesh);
+        }
+
+        // [[control point, weight], ...] of each refined vertex
+        this.stencils = mesh.stencils.map(s => s.map(([i, w]) => [points[i], w]));
+        // refined vertices follow the control points in the vertex buffer
+        this.vertices = mesh.stencils.map((_, i) => ({index: points.length + i}));
+        // refined faces in the same form as Polygon, with the control polygon they are refined from
+        this.faces = mesh.faces.map((f, i) => {
+            let face = {points: f.map(v => this.vertices[v]), holes: [], triangles: [], polygon: mesh.owners[i]};
+            for(let j = 1; j < f.length - 1; j++){
+                let triangle = new Triangle(face.points[0], face.points[j], face.points[j + 1]);
+                triangle.polygon = face.polygon;
+                face.triangles.push(triangle);
+            }
+            return face;
+        });
+        this.triangles = this.faces.flatMap(f => f.triangles);
+        this.update();
+    }
+
+    /**
+     * Evaluate the positions, colors and texture coordinates of the refined vertices from the control points
+     */
+    update(){
+        this.vertices.forEach((vertex, i) => SubdivisionSurface.ATTRIBUTES.forEach(a => {
+            vertex[a] = this.stencils[i].reduce((sum, [p, w]) => sum + p[a] * w, 0);
+        }));
+    }
+
+    /**
+     * Get the positions, colors and texture coordinates of the refined vertices
+     * @returns {Float32Array} [x0, y0, z0, r0, g0, b0, u0, v0, x1, y1, ...]
+     */
+    getVertexData(){
+        let data = new Float32Array(this.vertices.length * Point.VERTEX_SIZE);
+        this.vertices.forEach((v, i) => data.set(SubdivisionSurface.ATTRIBUTES.map(a => v[a]), i * Point.VERTEX_SIZE));
+        return data;
+    }
+
+    /**
+     * Add up the stencils with weights
+     * @param {Array} terms - [[stencil, weight], ...]
+     * @returns {Array} the stencil [[control point index, weight], ...]
+     */
+    static combine(terms){
+        let weights = new Map();
+        terms.forEach(([stencil, weight]) => stencil.forEach(([i, w]) => {
+            weights.set(i, (weights.get(i) || 0) + w * weight);
+        }));
+        return [...weights];
+    }
+
+    /**
+     * Collect the edges of the faces
+     * @param {number} verticesCount
+     * @param {number[][]} faces
+     * @returns {{list: Object[], get: function(number, number): Object}} edges {a, b, faces, index}
+     * in the order they are found, and a function to find the edge between two vertices
+     */
+    static collectEdges(verticesCount, faces){
+        let edges = new Map();
+        let key = (a, b) => Math.min(a, b) * verticesCount + Math.max(a, b);
+        faces.forEach((f, i) => f.forEach((a, j) => {
+            let b = f[(j + 1) % f.length];
+            if(!edges.has(key(a, b))){
+                edges.set(key(a, b), {a: a, b: b, faces: [], index: edges.size});
+            }
+            edges.get(key(a, b)).faces.push(i);
+        }));
+        return {list: [...edges.values()], get: (a, b) => edges.get(key(a, b))};
+    }
+
+    /**
+     * Get the moved stencils of the old vertices, which are shared by both schemes except for the interior vertices
+     *
+     * a vertex on the boundary is moved along it by the cubic B-spline rule,
+     * a corner where more than two boundary edges meet is kept, and a vertex without faces is not moved
+     * @param {Array} stencils - of the old vertices
+     * @param {Object[]} edges - returned by collectEdges
+     * @param {function(number, Object[]): Array} interiorRule - stencil of an interior vertex from its index and edges
+     * @returns {Array} stencils of the moved vertices
+     */
+    static moveVertices(stencils, edges, interiorRule){
+        let vertexEdges = stencils.map(() => []);
+        edges.forEach(e => {
+            vertexEdges[e.a].push(e);
+            vertexEdges[e.b].push(e);
+        });
+        let other = (e, v) => e.a === v ? e.b : e.a;
+        return stencils.map((s, v) => {
+            let boundary = vertexEdges[v].filter(e => e.faces.length !== 2);
+            if(vertexEdges[v].length === 0){
+                return s;
+            }else if(boundary.length === 0){
+                return interiorRule(v, vertexEdges[v]);
+            }else if(boundary.length === 2){
+                return SubdivisionSurface.combine([[s, 6 / 8],
+                    [stencils[other(boundary[0], v)], 1 / 8], [stencils[other(boundary[1], v)], 1 / 8]]);
+            }
+            return s;
+        });
+    }
+
+    /**
+     * Subdivide the mesh once by Catmull-Clark, every face of n vertices is split into n quads
+     * @param {{stencils: Array, faces: number[][], owners: Polygon[]}} mesh
+     * @returns {{stencils: Array, faces: number[][], owners: Polygon[]}}
+     */
+    static catmullClarkStep(mesh){
+        let {stencils, faces, owners} = mesh;
+        let combine = SubdivisionSurface.combine;
+        let edges = SubdivisionSurface.collectEdges(stencils.length, faces);
+        let facePoints = faces.map(f => combine(f.map(v => [stencils[v], 1 / f.length])));
+        let edgePoints = edges.list.map(e => e.faces.length === 2 ?
+            combine([[stencils[e.a], 1 / 4], [stencils[e.b], 1 / 4],
+                [facePoints[e.faces[0]], 1 / 4], [facePoints[e.faces[1]], 1 / 4]]) :
+            combine([[stencils[e.a], 1 / 2], [stencils[e.b], 1 / 2]]));
+        let vertexFaces = stencils.map(() => []);
+        faces.forEach((f, i) => f.forEach(v => vertexFaces[v].push(i)));
+        // (F + 2R + (n - 3)P) / n, F: average of the face points, R: average of the edge midpoints
+        let vertexPoints = SubdivisionSurface.moveVertices(stencils, edges.list, (v, vertexEdges) => {
+            let n = vertexEdges.length;
+            return combine([
+                [stencils[v], (n - 3) / n],
+                ...vertexFaces[v].map(f => [facePoints[f], 1 / (vertexFaces[v].length * n)]),
+                ...vertexEdges.flatMap(e => [[stencils[e.a], 1 / (n * n)], [stencils[e.b], 1 / (n * n)]])
+            ]);
+        });
+
+        let edgeIndex = (a, b) => stencils.length + edges.get(a, b).index;
+        let faceIndex = i => stencils.length + edges.list.length + i;
+        let newFaces = [];
+        let newOwners = [];
+        faces.forEach((f, i) => f.forEach((v, j) => {
+            let prev = f[(j + f.length - 1) % f.length];
+            let next = f[(j + 1) % f.length];
+            newFaces.push([v, edgeIndex(v, next), faceIndex(i), edgeIndex(prev, v)]);
+            newOwners.push(owners[i]);
+        }));
+        return {stencils: [...vertexPoints, ...edgePoints, ...facePoints], faces: newFaces, owners: newOwners};
+    }
+
+    /**
+     * Subdivide the triangle mesh once by Loop, every triangle is split into 4
+     * @param {{stencils: Array, faces: number[][], owners: Polygon[]}} mesh
+     * @returns {{stencils: Array, faces: number[][], owners: Polygon[]}}
+     */
+    static loopStep(mesh){
+        let {stencils, faces, owners} = mesh;
+        let combine = SubdivisionSurface.combine;
+        let edges = SubdivisionSurface.collectEdges(stencils.length, faces);
+        let opposite = (f, e) => faces[f].find(v => v !== e.a && v !== e.b);
+        let edgePoints = edges.list.map(e => e.faces.length === 2 ?
+            combine([[stencils[e.a], 3 / 8], [stencils[e.b], 3 / 8],
+                [stencils[opposite(e.faces[0], e)], 1 / 8], [stencils[opposite(e.faces[1], e)], 1 / 8]]) :
+            combine([[stencils[e.a], 1 / 2], [stencils[e.b], 1 / 2]]));
+        // (1 - n * beta)P + beta * (sum of the neighbours)
+        let vertexPoints = SubdivisionSurface.moveVertices(stencils, edges.list, (v, vertexEdges) => {
+            let n = vertexEdges.length;
+            let beta = n === 3 ? 3 / 16 : 3 / (8 * n);
+            return combine([[stencils[v], 1 - n * beta],
+                ...vertexEdges.map(e => [stencils[e.a === v ? e.b : e.a], beta])]);
+        });
+
+        let edgeIndex = (a, b) => stencils.length + edges.get(a, b).index;
+        let newFaces = [];
+        let newOwners = [];
+        faces.forEach(([a, b, c], i) => {
+            let ab = edgeIndex(a, b);
+            let bc = edgeIndex(b, c);
+            let ca = edgeIndex(c, a);
+            newFaces.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+            newOwners.push(owners[i], owners[i], owners[i], owners[i]);
+        });
+        return {stencils: [...vertexPoints, ...edgePoints], faces: newFaces, owners: newOwners};
+    }
+
+}
+
+/**
+ * @class Shapes
+ * A class to store positions and colors of points and triangles
+ */
+class Shapes {
+
+    /**
+     * Create with given HTML Canvas element, width and height
+     * @constructor
+     * @param {HTMLCanvasElement} dom
+     * @param {number} width - size of the canvas coordinate system
+     * @param {number} height - size of the canvas coordinate system
+     */
+    constructor(dom, width, height) {
+        this.dom = dom;
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+
+        this.points = [];
+        this.polygons = [];
+        this.triangles = [];
+        // adjacency of the points and polygons, kept in sync with the lists above
+        this.topology = new MeshTopology();
+        // times the polygons are subdivided when rendered, and the refined mesh (null if not subdivided)
+        this.subdivisionLevel = 0;
+        this.subdivision = null;
+        // captured poses of the points to morph between, each a Map<Point, [x, y, r, g, b]> never changed in place
+        this.morphTargets = [];
+        // pose of the points before morphing, null if not morphed
+        this.restPose = null;
+
+        // increased whenever points or triangles are added, so the renderer knows to rebuild its buffers
+        this.topologyVersion = 0;
+        // points moved since the last upload, which can be updated in place
+        this.dirtyPoints = new Set();
+    }
+
+    get width(){
+        return this.canvasWidth;
+    }
+    get height(){
+        return this.canvasHeight;
+    }
+    get trianglesCount(){
+        return this.triangles.length;
+    }
+
+    /**
+     * Add a point to the shapes
+     * @param {number} xInCanvas - x coordinate in canvas coordinate system
+     * @param {number} yInCanvas - y coordinate in canvas coordinate system
+     * @param {number} r - red color value [0-255]
+     * @param {number} g - green color value [0-255]
+     * @param {number} b - blue color value [0-255]
+     * @returns {Point} the added point
+     */
+    addPoint(xInCanvas, yInCanvas, r, g, b){
+        let p = new Point(xInCanvas, yInCanvas, this.width, this.height);
+        p.setColor(r, g, b);
+        p.index = this.points.length;
+        this.points.push(p);
+        this.topology.addVertex(p);
+        this.updateSubdivision();
+        this.topologyVersion++;
+        return p;
+    }
+
+    /**
+     * Check if the point is in the shapes
+     * @param {Point} point
+     * @returns {boolean}
+     */
+    hasPoint(point){
+        return this.points[point.index] === point;
+    }
+
+    /**
+     * Remove a point from the shapes, and clean up the polygons using it
+     *
+     * the point is taken out of the rings of the polygons, which are triangulated again;
+     * a hole with less than 3 points left is dropped, and a polygon is removed
+     * if its outer ring has less than 3 points left or it is no longer valid
+     * @param {Point} point
+     * @returns {number} number of the removed polygons
+     */
+    removePoint(point){
+        if(!this.hasPoint(point)){
+            throw new Error("Point is not in the shapes");
+        }
+        let polygonsCount = this.polygons.length;
+        this.polygons = this.polygons.flatMap(polygon => {
+            if(!polygon.rings.some(r => r.includes(point))){
+                return [polygon];
+            }
+            let outer = polygon.points.filter(p => p !== point);
+            let holes = polygon.holes.map(h => h.filter(p => p !== point)).filter(h => h.length >= 3);
+            if(outer.length < 3){
+                return [];
+            }
+            try{
+                return [polygon.withRings(outer, holes)];
+            }catch(e){
+                return [];
+            }
+        });
+        this.points.splice(point.index, 1);
+        this.updateTopology();
+        return polygonsCount - this.polygons.length;
+    }
+
+    /**
+     * Get the current points, polygons and morph targets, which can be restored later
+     *
+     * Polygons and morph targets are never changed in place (they are replaced instead), so copying the arrays is enough
+     * @returns {{points: Point[], polygons: Polygon[], subdivisionLevel: number, morphTargets: Map[]}}
+     */
+    snapshot(){
+        return {points: [...this.points], polygons: [...this.polygons], subdivisionLevel: this.subdivisionLevel,
+            morphTargets: [...this.morphTargets]};
+    }
+
+    /**
+     * Restore the points, polygons, subdivision level and morph targets returned by snapshot
+     * @param {{points: Point[], polygons: Polygon[], subdivisionLevel: number, morphTargets: Map[]}} snapshot
+     */
+    restore(snapshot){
+        this.points = [...snapshot.points];
+        this.polygons = [...snapshot.polygons];
+        this.subdivisionLevel = snapshot.subdivisionLevel;
+        this.morphTargets = [...snapshot.morphTargets];
+        this.updateTopology();
+    }
+
+    /**
+     * Update the indices of the points, the list of triangles and the edges after points or polygons are replaced or removed
+     */
+    updateTopology(){
+        this.points.forEach((p, i) => p.index = i);
+        this.triangles = this.polygons.flatMap(p => p.triangles);
+        this.topology.rebuild(this.points, this.polygons);
+        this.updateSubdivision();
+        this.dirtyPoints.clear();
+        this.topologyVersion++;
+    }
+
+    /**
+     * Move a point to the given position and mark it to be updated in the vertex buffer
+     * @param {Point} point
+     * @param {number} x - x coordinate in WebGL coordinate system
+     * @param {number} y - y coordinate in WebGL coordinate system
+     */
+    movePoint(point, x, y){
+        point.x = x;
+        point.y = y;
+        this.dirtyPoints.add(point);
+    }
+
+    /**
+     * Get the position and color of a point
+     * @param {Point} point
+     * @returns {number[]} [x, y, r, g, b], position in WebGL coordinate system and color [0-1]
+     */
+    static getPose(point){
+        return [point.x, point.y, point.r, point.g, point.b];
+    }
+
+    /**
+     * Move a point and change its color, and mark it to be updated in the vertex buffer
+     * @param {Point} point
+     * @param {number[]} pose - [x, y, r, g, b], position in WebGL coordinate system and color [0-1]
+     */
+    setPose(point, [x, y, r, g, b]){
+        this.movePoint(point, x, y);
+        [point.r, point.g, point.b] = [r, g, b];
+    }
+
+    /**
+     * Capture a morph target from the current pose of the points, or from the given one
+     * @param {Map<Point, number[]>} pose - Point -> [x, y, r, g, b] (default the current pose)
+     * @returns {Map<Point, number[]>} the added morph target
+     */
+    addMorphTarget(pose = new Map(this.points.map(p => [p, Shapes.getPose(p)]))){
+        this.morphTargets = [...this.morphTargets, pose];
+        return pose;
+    }
+
+    /**
+     * Remove all the morph targets
+     */
+    clearMorphTargets(){
+        this.morphTargets = [];
+    }
+
+    /**
+     * Blend the rest pose of the points with the morph targets: rest + sum of weight * (target - rest)
+     *
+     * the rest pose is saved on the first call, and put back by restorePose.
+     * Points missing in a target (added after it was captured) are not moved by it.
+     * @param {number[]} weights - one for each morph target
+     */
+    applyMorph(weights){
+        if(!this.restPose){
+            this.restPose = new Map(this.points.map(p => [p, Shapes.getPose(p)]));
+        }
+        this.restPose.forEach((rest, point) => {
+            let pose = [...rest];
+            this.morphTargets.forEach((target, i) => {
+                let value = target.get(point);
+                if(value && weights[i] !== 0){
+                    pose.forEach((v, j) => pose[j] += weights[i] * (value[j] - rest[j]));
+                }
+            });
+            this.setPose(point, pose);
+        });
+    }
+
+    /**
+     * Put the points back to the rest pose saved by applyMorph
+     */
+    restorePose(){
+        if(this.restPose){
+            this.restPose.forEach((rest, point) => this.setPose(point, rest));
+            this.restPose = null;
+        }
+    }
+
+    /**
+     * Add a simple polygon (convex or concave) to the shapes, and split it into triangles
+     * @param {number[]} pointIndices - indices of the points in the shapes, at least 3
+     * @param {number[][]} holeIndices - indices of the points of each hole ring (default none)
+     * @param {number[]|null} borderColor - r, g, b [0-255] of the border lines, null for the default color
+     * @returns {Polygon} the added polygon
+     */
+    addPolygon(pointIndices, holeIndices = [], borderColor = null){
+        let rings = [pointIndices, ...holeIndices];
+        if(rings.some(r => r.length < 3)){
+            throw new Error("Polygon must have at least 3 points");
+        }else if(rings.some(r => r.some(i => i < 0 || i >= this.points.length))){
+            throw new Error("Point index out of bounds");
+        }else if(holeIndices.length > 0 && this.subdivisionLevel > 0){
+            throw new Error("Polygons with holes can not be subdivided");
+        }
+
+        let polygon = new Polygon(pointIndices.map(i => this.points[i]),
+            holeIndices.map(h => h.map(i => this.points[i])));
+        if(borderColor){
+            polygon.setBorderColor(...borderColor);
+        }
+        this.polygons.push(polygon);
+        this.triangles.push(...polygon.triangles);
+        this.topology.addFace(polygon);
+        this.updateSubdivision();
+        this.topologyVersion++;
+        return polygon;
+    }
+
+    /**
+     * Set the times the polygons are subdivided into a smooth mesh when rendered, the points are still
+     * the control points to be dragged
+     * @param {number} level - [0, SubdivisionSurface.MAX_LEVEL], 0 to turn off
+     */
+    setSubdivisionLevel(level){
+        let subdivision = level === 0 ? null : new SubdivisionSurface(this.points, this.polygons, level);
+        this.subdivisionLevel = level;
+        this.subdivision = subdivision;
+        this.topologyVersion++;
+    }
+
+    /**
+     * Subdivide the polygons again after they are changed
+     */
+    updateSubdivision(){
+        this.subdivision = this.subdivisionLevel > 0 ?
+            new SubdivisionSurface(this.points, this.polygons, this.subdivisionLevel) : null;
+    }
+
+    /**
+     * Split the edge between two points by inserting a new point, and add it to all the polygons having the edge
+     *
+     * the new point is placed at a + t * (b - a), with the color and texture coordinates interpolated in the same way
+     * @param {Point} a
+     * @param {Point} b
+     * @param {number} t - position along the edge (0, 1)
+     * @returns {Point} the new point
+     */
+    splitEdge(a, b, t){
+        let polygons = this.topology.getEdgeFaces(a, b);
+        if(polygons.length === 0){
+            throw new Error("Edge is not in the shapes");
+        }else if(!(t > 0 && t < 1)){
+            throw new Error("Split position must be inside the edge");
+        }
+        let lerp = (u, v) => u + (v - u) * t;
+        let [x, y] = Point.webGLCoordinateToCanvas(lerp(a.x, b.x), lerp(a.y, b.y), this.width, this.height);
+        let point = new Point(x, y, this.width, this.height);
+        point.setColor(lerp(a.r, b.r) * 255, lerp(a.g, b.g) * 255, lerp(a.b, b.b) * 255);
+        point.setUV(lerp(a.u, b.u), lerp(a.v, b.v));
+
+        // the polygons are triangulated again before anything is changed, since it may fail
+        let insert = ring => ring.flatMap((p, i) => {
+            let q = ring[(i + 1) % ring.length];
+            return (p === a && q === b) || (p === b && q === a) ? [p, point] : [p];
+        });
+        let split = new Map(polygons.map(polygon =>
+            [polygon, polygon.withRings(insert(polygon.points), polygon.holes.map(insert))]));
+        this.points.push(point);
+        this.polygons = this.polygons.map(polygon => split.get(polygon) || polygon);
+        this.updateTopology();
+        return point;
+    }
+
+    /**
+     * Replace all the points and polygons by a grid of white quads over the given rectangle,
+     * whose texture coordinates span the whole image, e.g. to warp the image by dragging the points
+     * @param {number} columns - number of quads in a row, positive integer
+     * @param {number} rows - number of quads in a column, positive integer
+     * @param {number[]} rect - [left, top, width, height] in canvas coordinate system
+     */
+    createGrid(columns, rows, [left, top, width, height]){
+        if(!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1){
+            throw new Error("Grid size must be positive integers");
+        }
+        let points = [];
+        for(let j = 0; j <= rows; j++){
+            for(let i = 0; i <= columns; i++){
+                let point = new Point(left + width * i / columns, top + height * j / rows, this.width, this.height);
+                point.setColor(255, 255, 255);
+                point.setUV(i / columns, 1 - j / rows);
+                points.push(point);
+            }
+        }
+        let at = (i, j) => points[j * (columns + 1) + i];
+        this.points = points;
+        this.polygons = [];
+        for(let j = 0; j < rows; j++){
+            for(let i = 0; i < columns; i++){
+                this.polygons.push(new Polygon([at(i, j), at(i, j + 1), at(i + 1, j + 1), at(i + 1, j)]));
+            }
+        }
+        this.updateTopology();
+    }
+
+    /**
+     * Get the positions, colors and texture coordinates of all the points in the order of this.points,
+     * followed by the refined vertices if subdivided
+     * @returns {Float32Array} [x0, y0, z0, r0, g0, b0, u0, v0, x1, y1, ...]
+     */
+    getVertexData(){
+        let data = new Float32Array(this.points.length * Point.VERTEX_SIZE);
+        this.points.forEach((p, i) => data.set(p.getVertexData(), i * Point.VERTEX_SIZE));
+        if(!this.subdivision){
+            return data;
+        }
+        let refined = this.subdivision.getVertexData();
+        let all = new Float32Array(data.length + refined.length);
+        all.set(data);
+        all.set(refined, data.length);
+        return all;
+    }
+
+    /**
+     * Get the faces to be drawn, which are the refined ones if subdivided
+     * @returns {Array} polygons, or faces in the same form {points, holes, triangles}
+     */
+    getDrawnFaces(){
+        return this.subdivision ? this.subdivision.faces : this.polygons;
+    }
+
+    /**
+     * Check if the face is a quad without holes
+     * @param {Object} face - Polygon or refined face {points, holes, triangles}
+     * @returns {boolean}
+     */
+    static isQuad(face){
+        return face.points.length === 4 && face.holes.length === 0;
+    }
+
+    /**
+     * Get the drawn faces which are quads without holes
+     * @returns {Array} polygons, or refined faces {points, holes, triangles}
+     */
+    getQuads(){
+        return this.getDrawnFaces().filter(Shapes.isQuad);
+    }
+
+    /**
+     * Get the triangles to be drawn
+     * @param {boolean} skipQuads - leave out the triangles of the quads (default false)
+     * @returns {Triangle[]}
+     */
+    getDrawnTriangles(skipQuads = false){
+        return this.getDrawnFaces().filter(f => !skipQuads || !Shapes.isQuad(f)).flatMap(f => f.triangles);
+    }
+
+    /**
+     * Get the indices of the points of the drawn triangles in the vertex data
+     * @param {Uint16ArrayConstructor|Uint32ArrayConstructor} IndexArray - type of the returned array (default Uint32Array)
+     * @param {boolean} skipQuads - leave out the triangles of the quads (default false)
+     * @returns {Uint16Array|Uint32Array} [t0p1, t0p2, t0p3, t1p1, ...]
+     */
+    getTriangleIndices(IndexArray = Uint32Array, skipQuads = false){
+        let triangles = this.getDrawnTriangles(skipQuads);
+        let indices = new IndexArray(triangles.length * 3);
+        triangles.forEach((t, i) => indices.set(t.indices, i * 3));
+        return indices;
+    }
+
+    /**
+     * Get all the edges of the polygons (outer and hole rings) with their border colors
+     *
+     * edges shared by two polygons are only returned once, with the color of the first polygon
+     * @returns {Array} [[p1, p2, color], ...]
+     */
+    getPolygonEdges(){
+        return this.topology.getEdges().map(([p, q]) => [p, q, this.topology.getEdgeFaces(p, q)[0].borderColor]);
+    }
+
+    /**
+     * Get all the corners of the polygons (outer and hole rings) where two border lines join
+     * @returns {Array} [[previous point, point, next point, color], ...]
+     */
+    getPolygonJoints(){
+        let joints = [];
+        this.polygons.forEach(polygon => polygon.rings.forEach(ring => {
+            ring.forEach((p, i) => {
+                joints.push([ring[(i + ring.length - 1) % ring.length], p, ring[(i + 1) % ring.length], polygon.borderColor]);
+            });
+        }));
+        return joints;
+    }
+
+    /**
+     * Get all the drawn triangles with the border colors of their polygons
+     * @returns {Array} [[triangle, color], ...]
+     */
+    getColoredTriangles(){
+        return this.getDrawnFaces().flatMap(f => {
+            let color = (this.subdivision ? f.polygon : f).borderColor;
+            return f.triangles.map(t => [t, color]);
+        });
+    }
+
+    /**
+     * Get all the edges of the drawn triangles with the border colors of their polygons
+     * @returns {Array} [[p1, p2, color], ...]
+     */
+    getTriangleEdges(){
+        return this.getColoredTriangles().flatMap(([t, color]) => [[t.p1, t.p2, color], [t.p2, t.p3, color], [t.p3, t.p1, color]]);
+    }
+
+    /**
+     * Get all the corners of the drawn triangles where two border lines join
+     * @returns {Array} [[previous point, point, next point, color], ...]
+     */
+    getTriangleJoints(){
+        return this.getColoredTriangles().flatMap(([t, color]) =>
+            [[t.p3, t.p1, t.p2, color], [t.p1, t.p2, t.p3, color], [t.p2, t.p3, t.p1, color]]);
+    }
+
+}
+
+/**
+ * @class MotionPath
+ * A path the pivot of the animation moves along at a constant speed, as a polyline or a chain of cubic Bézier curves
+ *
+ * The points are [x, y] in WebGL coordinate system. A polyline goes through all of them, while a Bézier path
+ * goes through every third point (the anchors), with the two points between each pair of anchors as control points.
+ * The path is sampled into a polyline, whose cumulative lengths map a progress to a position by arc length.
+ */
+class MotionPath{
+    static TYPES = ['polyline', 'bezier'];
+    // number of line segments a Bézier curve is sampled into
+    static SAMPLES = 32;
+
+    /**
+     * Create a motion path
+     *
+     * throw an error if the type is unknown, or the number of points does not fit a Bézier path
+     * @constructor
+     * @param {string} type - one of MotionPath.TYPES (default "polyline")
+     * @param {number[][]} points - [[x, y], ...] (default none)
+     * @param {boolean} orient - whether to rotate the mesh along the direction of the path (default false)
+     */
+    constructor(type = 'polyline', points = [], orient = false){
+        if(!MotionPath.TYPES.includes(type)){
+            throw new Error(`Unknown motion path type: ${type}`);
+        }else if(!points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))){
+            throw new Error("Motion path points must be [x, y]");
+        }else if(type === 'bezier' && points.length > 0 && (points.length - 1) % 3 !== 0){
+            throw new Error("Bézier motion path must have 3n + 1 points");
+        }
+        this.type = type;
+        this.points = points.map(p => [...p]);
+        this.orient = orient;
+        // the sampled polyline, and the length of it from the start to each sample
+        this.samples = [];
+        this.lengths = [];
+        this.updateLength();
+    }
+
+    /**
+     * Check if a point is a control point of a Bézier path rather than an anchor
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isControl(index){
+        return this.type === 'bezier' && index % 3 !== 0;
+    }
+
+    /**
+     * Sample the path into a polyline and measure it
+     */
+    updateLength(){
+        if(this.type === 'polyline'){
+            this.samples = this.points.map(p => [...p]);
+        }else{
+            this.samples = this.points.slice(0, 1).map(p => [...p]);
+            for(let i = 0; i + 3 < this.points.length; i += 3){
+                let [p0, p1, p2, p3] = this.points.slice(i, i + 4);
+                for(let j = 1; j <= MotionPath.SAMPLES; j++){
+                    let t = j / MotionPath.SAMPLES;
+                    let s = 1 - t;
+                    this.samples.push([0, 1].map(k =>
+                        s * s * s * p0[k] + 3 * s * s * t * p1[k] + 3 * s * t * t * p2[k] + t * t * t * p3[k]));
+                }
+            }
+        }
+        this.lengths = [0];
+        for(let i = 1; i < this.samples.length; i++){
+            let [a, b] = [this.samples[i - 1], this.samples[i]];
+            this.lengths.push(this.lengths[i - 1] + Math.hypot(b[0] - a[0], b[1] - a[1]));
+        }
+    }
+
+    /**
+     * Check if the path can be moved along, which needs a non-zero length
+     * @returns {boolean}
+     */
+    get isValid(){
+        return this.lengths.length >= 2 && this.lengths[this.lengths.length - 1] > 0;
+    }
+
+    /**
+     * Get the position and direction at the given distance along the path
+     * @param {number} progress - distance along the path as a fraction of its length [0, 1]
+     * @returns {Object} {position: [x, y], angle: direction in degrees counterclockwise from the x axis}
+     */
+    getPosition(progress){
+        let lengths = this.lengths;
+        let distance = Math.min(Math.max(progress, 0), 1) * lengths[lengths.length - 1];
+        // find the sample segment containing the distance, skipping the empty ones
+        let low = 1;
+        let high = lengths.length - 1;
+        while(low < high){
+            let middle = Math.floor((low + high) / 2);
+            if(lengths[middle] < distance){
+                low = middle + 1;
+            }else{
+                high = middle;
+            }
+        }
+        while(low < lengths.length - 1 && lengths[low] === lengths[low - 1]){
+            low++;
+        }
+        let [a, b] = [this.samples[low - 1], this.samples[low]];
+        let segment = lengths[low] - lengths[low - 1];
+        let t = segment > 0 ? (distance - lengths[low - 1]) / segment : 0;
+        return {
+            position: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+            angle: Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI,
+        };
+    }
+
+    /**
+     * Append a point to a polyline, or an anchor to a Bézier path with its control points on the straight line
+     * from the last anchor, so the new curve starts straight
+     * @param {number} x
+     * @param {number} y
+     */
+    addPoint(x, y){
+        let last = this.points[this.points.length - 1];
+        if(this.type === 'bezier' && last){
+            this.points.push([0, 1].map(k => last[k] + ([x, y][k] - last[k]) / 3),
+                [0, 1].map(k => last[k] + ([x, y][k] - last[k]) * 2 / 3));
+        }
+        this.points.push([x, y]);
+        this.updateLength();
+    }
+
+    /**
+     * Remove the last point of a polyline, or the last anchor of a Bézier path with its control points
+     */
+    removeLastPoint(){
+        this.points.splice(this.type === 'bezier' ? Math.max(this.points.length - 3, 0) : this.points.length - 1);
+        this.updateLength();
+    }
+
+    /**
+     * Move a point of the path, the control points of a Bézier path follow their anchor
+     * @param {number} index
+     * @param {number} x
+     * @param {number} y
+     */
+    movePoint(index, x, y){
+        let [dx, dy] = [x - this.points[index][0], y - this.points[index][1]];
+        if(this.type === 'bezier' && !this.isControl(index)){
+            [index - 1, index + 1].filter(i => i >= 0 && i < this.points.length).forEach(i => {
+                this.points[i] = [this.points[i][0] + dx, this.points[i][1] + dy];
+            });
+        }
+        this.points[index] = [x, y];
+        this.updateLength();
+    }
+
+    /**
+     * Switch between a polyline and a Bézier path, keeping the same shape:
+     * straight curves between the points of the polyline, or the anchors of the Bézier path as the polyline
+     * @param {string} type - one of MotionPath.TYPES
+     */
+    setType(type){
+        if(!MotionPath.TYPES.includes(type)){
+            throw new Error(`Unknown motion path type: ${type}`);
+        }else if(type === this.type){
+            return;
+        }
+        let anchors = this.type === 'bezier' ? this.points.filter((_, i) => !this.isControl(i)) : this.points;
+        this.type = type;
+        this.points = [];
+        anchors.forEach(([x, y]) => this.addPoint(x, y));
+        this.updateLength();
+    }
+
+    /**
+     * Get the type, points and orientation, which can be restored later
+     * @returns {{type: string, points: number[][], orient: boolean}}
+     */
+    snapshot(){
+        return {type: this.type, points: this.points.map(p => [...p]), orient: this.orient};
+    }
+
+    /**
+     * Restore the type, points and orientation returned by snapshot
+     * @param {{type: string, points: number[][], orient: boolean}} snapshot
+     */
+    restore(snapshot){
+        this.type = snapshot.type;
+        this.points = snapshot.points.map(p => [...p]);
+        this.orient = snapshot.orient;
+        this.updateLength();
+    }
+}
+
+/**
+ * @class Timeline
+ * Keyframe animation of the model transform, with rotation, scale, translation and pivot tracks
+ *
+ * A track is a list of keyframes {time, value, easing} sorted by time, where the easing shapes the segment
+ * from the keyframe to the next one. Before its first and after its last keyframe, a track holds their values.
+ */
+class Timeline{
+    // values of the tracks without keyframes: rotation in degrees counterclockwise around the pivot,
+    // scale [x, y] around the pivot, translation [x, y] and offset [x, y] of the pivot from the chosen one
+    // in WebGL coordinate system, progress along the motion path [0, 1] (at a constant speed through the duration
+    // without keyframes)
+    static TRACKS = {rotation: 0, scale: [1, 1], translation: [0, 0], pivot: [0, 0], progress: 0};
+    // "loop": start over at the end, "ping-pong": play forwards and backwards in turn, "once": stop at the end
+    static MODES = ['loop', 'ping-pong', 'once'];
+    // easing curves as the control points [x1, y1, x2, y2] of a cubic Bézier curve like CSS,
+    // null holds the value until the next keyframe
+    static EASINGS = {
+        'linear': [0, 0, 1, 1],
+        'ease': [0.25, 0.1, 0.25, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1],
+        'step': null,
+    };
+    // rotate 45 degrees per second, and scale between 1 and 0.2 at the speed of 0.2 per second
+    static DEFAULT = {
+        mode: 'loop',
+        tracks: {
+            rotation: [{time: 0, value: 0}, {time: 8, value: 360}],
+            scale: [{time: 0, value: [1, 1]}, {time: 4, value: [0.2, 0.2]}, {time: 8, value: [1, 1]}],
+        },
+    };
+
+    /**
+     * Create a timeline from its definition, see Timeline.DEFAULT
+     *
+     * throw an error if the definition is invalid
+     * @constructor
+     * @param {Object} definition - {mode, duration, tracks: {rotation, scale, translation, pivot, progress},
+     * weights, path}
+     * mode is one of Timeline.MODES (default "loop"), duration in seconds (default the time of the last keyframe),
+     * every track is optional, as [{time, value, easing}, ...] with time in seconds and easing (default "linear")
+     * as a name in Timeline.EASINGS or [x1, y1, x2, y2].
+     * weights are optional tracks of the weights of the morph targets in order, see getWeights.
+     * path is an optional motion path {type, points, orient} the pivot moves along, see MotionPath
+     */
+    constructor(definition){
+        let mode = definition.mode || 'loop';
+        let tracks = definition.tracks || {};
+        if(!Timeline.MODES.includes(mode)){
+            throw new Error(`Unknown animation mode: ${mode}`);
+        }
+        Object.keys(tracks).forEach(name => {
+            if(!(name in Timeline.TRACKS)){
+                throw new Error(`Unknown animation track: ${name}`);
+            }
+        });
+        this.mode = mode;
+        // kept to be saved with the motion path, which is edited in place
+        this.definition = definition;
+        let path = definition.path || {};
+        this.path = new MotionPath(path.type, path.points, path.orient);
+        // name -> [{time, value: number[], easing: number[]|null}, ...]
+        this.tracks = {};
+        for(let [name, defaultValue] of Object.entries(Timeline.TRACKS)){
+            let keyframes = (tracks[name] || []).map(k => Timeline.normalizeKeyframe(k, defaultValue));
+            if(keyframes.some((k, i) => i > 0 && k.time < keyframes[i - 1].time)){
+                throw new Error(`Keyframes of ${name} must be sorted by time`);
+            }
+            this.tracks[name] = keyframes;
+        }
+        // tracks of the weights of the morph targets, null to play the targets in sequence
+        if(definition.weights !== undefined && (!Array.isArray(definition.weights) || !definition.weights.every(Array.isArray))){
+            throw new Error("Weights must be a list of keyframe lists");
+        }
+        this.weights = definition.weights === undefined ? null : definition.weights.map((track, i) => {
+            let keyframes = track.map(k => Timeline.normalizeKeyframe(k, 0));
+            if(keyframes.some((k, j) => j > 0 && k.time < keyframes[j - 1].time)){
+                throw new Error(`Keyframes of weight ${i} must be sorted by time`);
+            }
+            return keyframes;
+        });
+        let lastTimes = [...Object.values(this.tracks), ...(this.weights || [])]
+            .filter(t => t.length > 0).map(t => t[t.length - 1].time);
+        this.duration = definition.duration === undefined ? Math.max(0, ...lastTimes) : definition.duration;
+        if(!(this.duration >= 0 && this.duration < Infinity)){
+            throw new Error("Animation duration must be a non-negative number");
+        }
+    }
+
+    /**
+     * Check a keyframe, and convert its value to an array and its easing to Bézier control points
+     * @param {Object} keyframe - {time, value, easing}
+     * @param {number|number[]} defaultValue - value of the track without keyframes, for the type of the value
+     * @returns {Object} {time, value: number[], easing: number[]|null}
+     */
+    static normalizeKeyframe(keyframe, defaultValue){
+        let value = Array.isArray(defaultValue) ? keyframe.value : [keyframe.value];
+        let easing = keyframe.easing === undefined ? 'linear' : keyframe.easing;
+        if(!(keyframe.time >= 0 && keyframe.time < Infinity)){
+            throw new Error("Keyframe time must be a non-negative number");
+        }else if(!Array.isArray(value) || value.length !== [defaultValue].flat().length || !value.every(Number.isFinite)){
+            throw new Error(`Keyframe value must be ${Array.isArray(defaultValue) ? '[x, y]' : 'a number'}`);
+        }
+        if(typeof easing === 'string'){
+            if(!(easing in Timeline.EASINGS)){
+                throw new Error(`Unknown easing: ${easing}`);
+            }
+            easing = Timeline.EASINGS[easing];
+        }else if(!Array.isArray(easing) || easing.length !== 4 || !easing.every(Number.isFinite) ||
+            easing[0] < 0 || easing[0] > 1 || easing[2] < 0 || easing[2] > 1){
+            throw new Error("Easing must be a name or [x1, y1, x2, y2] with x1, x2 in [0, 1]");
+        }
+        return {time: keyframe.time, value: [...value], easing: easing};
+    }
+
+    /**
+     * Map a progress through an easing curve
+     * @param {number[]|null} easing - [x1, y1, x2, y2], null to hold the start value
+     * @param {number} x - progress of the time in the segment [0, 1]
+     * @returns {number} progress of the value, can be out of [0, 1] to overshoot
+     */
+    static ease(easing, x){
+        if(easing === null){
+            return 0;
+        }
+        let [x1, y1, x2, y2] = easing;
+        // the curve is the straight line y = x if the control points are on it
+        if(x1 === y1 && x2 === y2){
+            return x;
+        }
+        let bezier = (p1, p2, s) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+        // x(s) is monotonic as x1, x2 are in [0, 1], so find s by bisection
+        let low = 0;
+        let high = 1;
+        let s = x;
+        for(let i = 0; i < 30; i++){
+            let value = bezier(x1, x2, s);
+            if(Math.abs(value - x) < 1e-7){
+                break;
+            }else if(value < x){
+                low = s;
+            }else{
+                high = s;
+            }
+            s = (low + high) / 2;
+        }
+        return bezier(y1, y2, s);
+    }
+
+    /**
+     * Map the time since the animation started to the time in the timeline according to the mode
+     * @param {number} time - in seconds
+     * @returns {number} [0, this.duration]
+     */
+    getLocalTime(time){
+        let duration = this.duration;
+        if(duration === 0){
+            return 0;
+        }else if(this.mode === 'once'){
+            return Math.min(Math.max(time, 0), duration);
+        }else if(this.mode === 'loop'){
+            return (time % duration + duration) % duration;
+        }
+        let t = (time % (2 * duration) + 2 * duration) % (2 * duration);
+        return t > duration ? 2 * duration - t : t;
+    }
+
+    /**
+     * Check if a timeline played once has reached its end, or its beginning if played in reverse
+     * @param {number} time - in seconds since the animation started
+     * @param {boolean} isReverse - (default false)
+     * @returns {boolean}
+     */
+    isFinished(time, isReverse = false){
+        return this.mode === 'once' && (isReverse ? time <= 0 : time >= this.duration);
+    }
+
+    /**
+     * Get the value of a track at the given time in the timeline
+     * @param {string} name - key of Timeline.TRACKS
+     * @param {number} time - in seconds
+     * @returns {number[]}
+     */
+    sample(name, time){
+        let keyframes = this.tracks[name];
+        return keyframes.length === 0 ? [Timeline.TRACKS[name]].flat() : Timeline.interpolate(keyframes, time);
+    }
+
+    /**
+     * Get the value of normalized keyframes at the given time
+     * @param {Object[]} keyframes - returned by normalizeKeyframe, at least one
+     * @param {number} time - in seconds
+     * @returns {number[]}
+     */
+    static interpolate(keyframes, time){
+        if(time <= keyframes[0].time){
+            return keyframes[0].value;
+        }
+        for(let i = 0; i + 1 < keyframes.length; i++){
+            let a = keyframes[i];
+            let b = keyframes[i + 1];
+            if(time < b.time){
+                let t = Timeline.ease(a.easing, (time - a.time) / (b.time - a.time));
+                return a.value.map((v, j) => v + (b.value[j] - v) * t);
+            }
+        }
+        return keyframes[keyframes.length - 1].value;
+    }
+
+    /**
+     * Get the weights of the morph targets at the given time since the animation started
+     *
+     * Without weight tracks, the targets are played in sequence: each one is fully shown in turn at an equal interval,
+     * easing in and out of its neighbours, and the last one goes back to the first one.
+     * A single target is tweened from the rest pose and back.
+     * Targets without a track have weight 0 if there are weight tracks.
+     * @param {number} time - in seconds
+     * @param {number} count - number of morph targets
+     * @returns {number[]} one weight for each target
+     */
+    getWeights(time, count){
+        let localTime = this.getLocalTime(time);
+        if(this.weights){
+            return Array.from({length: count}, (_, i) =>
+                this.weights[i] && this.weights[i].length > 0 ? Timeline.interpolate(this.weights[i], localTime)[0] : 0);
+        }
+        // the position in the sequence, as the index of the shown target and the progress to the next one,
+        // where the rest pose takes the first place of the sequence if there is a single target
+        let length = count === 1 ? 2 : count;
+        let duration = this.duration > 0 ? this.duration : 1;
+        let position = localTime / duration * length;
+        let index = Math.min(Math.floor(position), length - 1);
+        let t = Timeline.ease(Timeline.EASINGS['ease-in-out'], position - index);
+        let weights = new Array(length).fill(0);
+        weights[index] += 1 - t;
+        weights[(index + 1) % length] += t;
+        return count === 1 ? weights.slice(1) : weights;
+    }
+
+    /**
+     * Get the definition of the timeline with the current motion path, e.g. to save it
+     * @returns {Object} see the constructor
+     */
+    toDefinition(){
+        return {...this.definition, path: this.path.snapshot()};
+    }
+
+    /**
+     * Get the model matrix at the given time since the animation started
+     *
+     * scale and rotate around the pivot, then translate; along a motion path, the pivot is moved onto the path
+     * before the translation, and rotated with the direction of the path if it is oriented
+     * @param {number} time - in seconds
+     * @param {number[]} pivot - [x, y] in WebGL coordinate system, moved by the pivot track (default [0, 0])
+     * @returns {Matrix4}
+     */
+    getMatrix(time, pivot = [0, 0]){
+        let localTime = this.getLocalTime(time);
+        let [angle] = this.sample('rotation', localTime);
+        let [scaleX, scaleY] = this.sample('scale', localTime);
+        let [translateX, translateY] = this.sample('translation', localTime);
+        let [pivotX, pivotY] = this.sample('pivot', localTime).map((v, i) => v + pivot[i]);
+        let [originX, originY] = [pivotX, pivotY];
+        if(this.path.isValid){
+            let [progress] = this.tracks.progress.length > 0 ? this.sample('progress', localTime) :
+                [this.duration > 0 ? localTime / this.duration : 0];
+            let {position, angle: direction} = this.path.getPosition(progress);
+            [originX, originY] = position;
+            // rotate from the direction at the start, so the mesh starts as it is drawn
+            if(this.path.orient){
+                angle += direction - this.path.getPosition(0).angle;
+            }
+        }
+        return new Matrix4()
+            .setTranslate(translateX + originX, translateY + originY, 0)
+            .rotate(angle, 0, 0, 1)
+            .scale(scaleX, scaleY, 1)
+            .translate(-pivotX, -pivotY, 0);
+    }
+}
+
+/**
+ * @class Transform
+ * A class to store and update the transform matrix of the shapes
+ */
+class Transform{
+
+    /**
+     * Create a transform animated by the given timeline, starting at its beginning
+     * @constructor
+     * @param {Timeline} timeline - (default Timeline.DEFAULT)
+     * @param {Function} clock - returns the current time in milliseconds (default Date.now),
+     * can be replaced to play the animation in a reproducible way
+     */
+    constructor(timeline = new Timeline(Timeline.DEFAULT), clock = Date.now){
+        this.timeline = timeline;
+        this.clock = clock;
+        // seconds the animation has played
+        this.time = 0;
+        // animation seconds per second, negative to play in reverse
+        this.speed = 1;
+        // [x, y] in WebGL coordinate system the animation rotates and scales around
+        this.pivot = [0, 0];
+        this.lastTimeRecord = this.clock();
+        this.modelMatrix = this.timeline.getMatrix(this.time, this.pivot);
+        // rotation, scale and translation of the whole mesh by the gizmo, applied after the model matrix
+        this.placementMatrix = new Matrix4().setIdentity();
+        // pan, zoom and rotation of the view by the pinch / rotate gesture, applied after the placement matrix
+        this.viewMatrix = new Matrix4().setIdentity();
+    }
+
+    /**
+     * The matrix mapping the coordinate stored in Shapes to the screen: view matrix * placement matrix * model matrix
+     * @returns {Matrix4}
+     */
+    get matrix(){
+        return new Matrix4(this.viewMatrix).multiply(this.placementMatrix).multiply(this.modelMatrix);
+    }
+
+    get matrixElements(){
+        return this.matrix.elements;
+    }
+
+    /**
+     * The matrix mapping the coordinate of the motion path to the screen: view matrix * placement matrix,
+     * as the path is where the model matrix moves the mesh to
+     * @returns {Matrix4}
+     */
+    get pathMatrix(){
+        return new Matrix4(this.viewMatrix).multiply(this.placementMatrix);
+    }
+
+    /**
+     * Move, scale and rotate the view, so that the two points a0, b0 on the screen go to a1, b1
+     * @param {number[]} a0 - [x, y] in webgl system
+     * @param {number[]} b0 - [x, y] in webgl system
+     * @param {number[]} a1 - [x, y] in webgl system
+     * @param {number[]} b1 - [x, y] in webgl system
+     */
+    transformView(a0, b0, a1, b1){
+        let d0 = [b0[0] - a0[0], b0[1] - a0[1]];
+        let d1 = [b1[0] - a1[0], b1[1] - a1[1]];
+        let length0 = Math.hypot(...d0);
+        if(length0 === 0 || Math.hypot(...d1) === 0){
+            return;
+        }
+        let scale = Math.hypot(...d1) / length0;
+        let angle = (Math.atan2(d1[1], d1[0]) - Math.atan2(d0[1], d0[0])) * 180 / Math.PI;
+        // move the midpoint of a0, b0 to the origin, scale and rotate around it, then move it to the midpoint of a1, b1
+        let delta = new Matrix4()
+            .setTranslate((a1[0] + b1[0]) / 2, (a1[1] + b1[1]) / 2, 0)
+            .rotate(angle, 0, 0, 1)
+            .scale(scale, scale, 1)
+            .translate(-(a0[0] + b0[0]) / 2, -(a0[1] + b0[1]) / 2, 0);
+        this.viewMatrix = delta.multiply(this.viewMatrix);
+    }
+
+    /**
+     * Reset the view to identity
+     */
+    resetView(){
+        this.viewMatrix.setIdentity();
+    }
+
+    /**
+     * Rotate and scale the placement around a center, then move it
+     * @param {number[]} center - [x, y] in webgl system before the view
+     * @param {number} angle - in degrees counterclockwise
+     * @param {number} scale - positive
+     * @param {number[]} translation - [x, y] in webgl system before the view
+     */
+    transformPlacement(center, angle, scale, translation){
+        let delta = new Matrix4()
+            .setTranslate(center[0] + translation[0], center[1] + translation[1], 0)
+            .rotate(angle, 0, 0, 1)
+            .scale(scale, scale, 1)
+            .translate(-center[0], -center[1], 0);
+        this.placementMatrix = delta.multiply(this.placementMatrix);
+    }
+
+    /**
+     * Reset the placement to identity
+     */
+    resetPlacement(){
+        this.placementMatrix.setIdentity();
+    }
+
+    /**
+     * Set the point the animation rotates and scales around, and update the transform matrix
+     *
+     * away from the identity, another pivot moves the mesh by an offset, which can be taken back by the placement
+     * @param {number} x - in WebGL coordinate system
+     * @param {number} y - in WebGL coordinate system
+     * @param {boolean} isKeepInPlace - whether to keep the mesh where it is on the screen (default false)
+     */
+    setPivot(x, y, isKeepInPlace = false){
+        let origin = new Vector4([0, 0, 0, 1]);
+        let before = this.modelMatrix.multiplyVector4(origin).elements;
+        this.pivot = [x, y];
+        this.modelMatrix = this.timeline.getMatrix(this.time, this.pivot);
+        if(isKeepInPlace){
+            // the pivot only changes the translation of the model matrix, so the offset is the same for all points
+            let after = this.modelMatrix.multiplyVector4(origin).elements;
+            this.placementMatrix = new Matrix4(this.placementMatrix).translate(before[0] - after[0], before[1] - after[1], 0);
+        }
+    }
+
+    /**
+     * Start the transform animation
+     *
+     * record the time for calculating the elapsed time,
+     * and start over if a timeline played once has reached its end (or beginning if in reverse)
+     */
+    startTransform(){
+        this.lastTimeRecord = this.clock();
+        if(this.timeline.isFinished(this.time, this.speed < 0)){
+            this.setTime(this.speed < 0 ? this.timeline.duration : 0);
+        }
+    }
+
+    /**
+     * Update the transform matrix
+     *
+     * use the elapsed time of the clock to move along the timeline at this.speed
+     */
+    updateTransform(){
+        // calculate the elapsed time
+        let now = this.clock();
+        let elapsed = now - this.lastTimeRecord;
+        this.lastTimeRecord = now;
+
+        this.setTime(this.time + elapsed / 1000 * this.speed);
+    }
+
+    /**
+     * Jump to the given time of the animation, and update the transform matrix
+     *
+     * a timeline played once stays within its duration
+     * @param {number} time - in seconds since the animation started
+     */
+    setTime(time){
+        if(!Number.isFinite(time)){
+            throw new Error("Animation time must be a finite number");
+        }
+        if(this.timeline.mode === 'once'){
+            time = Math.min(Math.max(time, 0), this.timeline.duration);
+        }
+        this.time = time;
+        this.modelMatrix = this.timeline.getMatrix(this.time, this.pivot);
+    }
+
+    /**
+     * Update the transform matrix after the timeline is changed, e.g. its motion path is edited
+     */
+    refresh(){
+        this.setTime(this.time);
+    }
+
+    /**
+     * Move the animation by whole frames of FRAME_DURATION
+     * @param {number} frames - negative to step back
+     */
+    step(frames){
+        this.setTime(this.time + frames * FRAME_DURATION);
+    }
+
+    /**
+     * Set the playback speed of the animation
+     * @param {number} speed - animation seconds per second, negative to play in reverse
+     */
+    setSpeed(speed){
+        if(!Number.isFinite(speed)){
+            throw new Error("Animation speed must be a finite number");
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * Get the time within the timeline, e.g. to show the progress
+     * @returns {number} [0, this.timeline.duration]
+     */
+    get localTime(){
+        return this.timeline.getLocalTime(this.time);
+    }
+}
+
+/**
+ * @class LineMesh
+ * A class to store line segments and their joints as quads in a vertex buffer
+ *
+ * Every segment and every joint is a quad of 6 vertices (2 triangles) keeping the model space positions
+ * of its points, which is expanded to the line width in screen space by the vertex shader.
+ * So only the quads of the moved points need to be updated when dragging.
+ */
+class LineMesh{
+    // number of floats of a vertex: p0.xy, p1.xy, p2.xy, corner.xy, r, g, b, hasColor
+    static VERTEX_SIZE = 12;
+    // corners of the quads, as [along, side] for segments and [x, y] for joints
+    static CORNERS = [[0, -1], [1, -1], [1, 1], [0, -1], [1, 1], [0, 1]];
+    static JOINT_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, -1], [1, 1], [-1, 1]];
+
+    /**
+     * Create an empty line mesh
+     * @constructor
+     * @param {WebGLRenderingContext} gl
+     */
+    constructor(gl){
+        this.gl = gl;
+        this.buffer = gl.createBuffer();
+        if (!this.buffer) {
+            throw new Error('Failed to create the buffer object');
+        }
+        // each quad is {points: [p0, p1, p2], color: [r, g, b] or null, isJoint: boolean}
+        this.quads = [];
+        // Point -> indices of the quads using it
+        this.pointQuads = new Map();
+        this.segmentsCount = 0;
+        this.jointsCount = 0;
+    }
+
+    /**
+     * Replace all the segments and joints, and upload them to the buffer
+     * @param {Array} segments - [[a, b, color], ...], color is [r, g, b] [0-1] or null for the default color
+     * @param {Array} joints - [[prev, joint, next, color], ...]
+     */
+    set(segments, joints){
+        this.quads = [
+            ...segments.map(([a, b, color]) => ({points: [a, b, b], color: color, isJoint: false})),
+            ...joints.map(([prev, joint, next, color]) => ({points: [prev, joint, next], color: color, isJoint: true}))
+        ];
+        this.segmentsCount = segments.length;
+        this.jointsCount = joints.length;
+
+        this.pointQuads.clear();
+        this.quads.forEach((quad, i) => {
+            new Set(quad.points).forEach(p => {
+                if(!this.pointQuads.has(p)){
+                    this.pointQuads.set(p, []);
+                }
+                this.pointQuads.get(p).push(i);
+            });
+        });
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, this.getData(), this.gl.DYNAMIC_DRAW);
+    }
+
+    /**
+     * Overwrite all the quads in the buffer with a single upload, when most of the points are moved
+     */
+    updateAll(){
+        if(this.quads.length === 0){
+            return;
+        }
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.getData());
+    }
+
+    /**
+     * Get the vertex data of all the quads
+     * @returns {Float32Array}
+     */
+    getData(){
+        let data = new Float32Array(this.quads.length * 6 * LineMesh.VERTEX_SIZE);
+        this.quads.forEach((quad, i) => data.set(LineMesh.getQuadData(quad), i * 6 * LineMesh.VERTEX_SIZE));
+        return data;
+    }
+
+    /**
+     * Overwrite the quads using any of the given points in the buffer
+     * @param {Iterable<Point>} points
+     */
+    updatePoints(points){
+        let indices = new Set();
+        for(let p of points){
+            (this.pointQuads.get(p) || []).forEach(i => indices.add(i));
+        }
+        if(indices.size === 0){
+            return;
+        }
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        indices.forEach(i => {
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER,
+                i * 6 * LineMesh.VERTEX_SIZE * Float32Array.BYTES_PER_ELEMENT, LineMesh.getQuadData(this.quads[i]));
+        });
+    }
+
+    /**
+     * Get the vertex data of a quad
+     * @param {Object} quad
+     * @returns {Float32Array}
+     */
+    static getQuadData(quad){
+        let data = new Float32Array(6 * LineMesh.VERTEX_SIZE);
+        let [p0, p1, p2] = quad.points;
+        let color = quad.color ? [...quad.color, 1] : [0, 0, 0, 0];
+        let corners = quad.isJoint ? LineMesh.JOINT_CORNERS : LineMesh.CORNERS;
+        corners.forEach((corner, i) => {
+            data.set([p0.x, p0.y, p1.x, p1.y, p2.x, p2.y, ...corner, ...color], i * LineMesh.VERTEX_SIZE);
+        });
+        return data;
+    }
+
+}
+
+/**
+ * @class FaceMesh
+ * A class to store the triangles of some faces in a vertex buffer, with the vertex data of each face generated
+ * by a given function, e.g. one color for a whole face or the corners of a quad for bilinear interpolation
+ *
+ * Like LineMesh, only the faces of the moved points need to be updated when dragging.
+ */
+class FaceMesh{
+    // number of floats of a vertex for bilinear interpolation: position.xy, corners (p0.xy, p1.xy), (p2.xy, p3.xy),
+    // colors (r0, g0, b0, r1), (g1, b1, r2, g2), (b2, r3, g3, b3), texture coordinates (p0.uv, p1.uv), (p2.uv, p3.uv)
+    static BILINEAR_VERTEX_SIZE = 30;
+
+    /**
+     * Create an empty face mesh
+     * @constructor
+     * @param {WebGLRenderingContext} gl
+     * @param {number} vertexSize - number of floats of a vertex
+     * @param {function(Object): Float32Array} getFaceData - vertex data of all the triangles of a face
+     */
+    constructor(gl, vertexSize, getFaceData){
+        this.gl = gl;
+        this.vertexSize = vertexSize;
+        this.getFaceData = getFaceData;
+        this.buffer = gl.createBuffer();
+        if (!this.buffer) {
+            throw new Error('Failed to create the buffer object');
+        }
+        // faces are polygons or refined faces {points, triangles}, with the first vertex in the buffer
+        this.faces = [];
+        this.firsts = [];
+        // Point -> indices of the faces using it
+        this.pointFaces = new Map();
+        this.verticesCount = 0;
+    }
+
+    /**
+     * Replace all the faces, and upload them to the buffer
+     * @param {Array} faces - polygons or refined faces {points, triangles}
+     */
+    set(faces){
+        this.faces = faces;
+        this.verticesCount = 0;
+        this.firsts = faces.map(f => {
+            let first = this.verticesCount;
+            this.verticesCount += f.triangles.length * 3;
+            return first;
+        });
+
+        this.pointFaces.clear();
+        faces.forEach((face, i) => {
+            face.points.forEach(p => {
+                if(!this.pointFaces.has(p)){
+                    this.pointFaces.set(p, []);
+                }
+                this.pointFaces.get(p).push(i);
+            });
+        });
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, this.getData(), this.gl.DYNAMIC_DRAW);
+    }
+
+    /**
+     * Overwrite all the faces in the buffer with a single upload, when most of the points are moved
+     */
+    updateAll(){
+        if(this.verticesCount === 0){
+            return;
+        }
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, this.getData());
+    }
+
+    /**
+     * Get the vertex data of all the faces
+     * @returns {Float32Array}
+     */
+    getData(){
+        let data = new Float32Array(this.verticesCount * this.vertexSize);
+        this.faces.forEach((face, i) => data.set(this.getFaceData(face), this.firsts[i] * this.vertexSize));
+        return data;
+    }
+
+    /**
+     * Overwrite the faces using any of the given points in the buffer
+     * @param {Iterable<Point>} points
+     */
+    updatePoints(points){
+        let indices = new Set();
+        for(let p of points){
+            (this.pointFaces.get(p) || []).forEach(i => indices.add(i));
+        }
+        if(indices.size === 0){
+            return;
+        }
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        indices.forEach(i => {
+            this.gl.bufferSubData(this.gl.ARRAY_BUFFER,
+                this.firsts[i] * this.vertexSize * Float32Array.BYTES_PER_ELEMENT, this.getFaceData(this.faces[i]));
+        });
+    }
+
+    /**
+     * Get the vertex data of the triangles of a quad for bilinear interpolation
+     * @param {Object} quad - polygon or refined face with 4 points
+     * @returns {Float32Array}
+     */
+    static getBilinearData(quad){
+        let data = new Float32Array(quad.triangles.length * 3 * FaceMesh.BILINEAR_VERTEX_SIZE);
+        let corners = quad.points.flatMap(p => [p.x, p.y]);
+        let colors = quad.points.flatMap(p => [p.r, p.g, p.b]);
+        let texCoords = quad.points.flatMap(p => [p.u, p.v]);
+        quad.triangles.flatMap(t => [t.p1, t.p2, t.p3]).forEach((p, i) => {
+            data.set([p.x, p.y, ...corners, ...colors, ...texCoords], i * FaceMesh.BILINEAR_VERTEX_SIZE);
+        });
+        return data;
+    }
+
+    /**
+     * Get the vertex data of the triangles of a face in one color, in the same layout as Point.getVertexData
+     * @param {Object} face - polygon or refined face
+     * @param {boolean} isFirst - use the color of the first point, otherwise the average color of the points
+     * @returns {Float32Array}
+     */
+    static getFlatData(face, isFirst){
+        let points = isFirst ? face.points.slice(0, 1) : face.points;
+        let color = ['r', 'g', 'b'].map(c => points.reduce((sum, p) => sum + p[c], 0) / points.length);
+        let data = new Float32Array(face.triangles.length * 3 * Point.VERTEX_SIZE);
+        face.triangles.flatMap(t => [t.p1, t.p2, t.p3]).forEach((p, i) => {
+            data.set([p.x, p.y, p.z, ...color, p.u, p.v], i * Point.VERTEX_SIZE);
+        });
+        return data;
+    }
+
+}
+
+/**
+ * @class Renderer
+ * A class to render the shapes with transform
+ *
+ * Fetch vertex data from class Shapes and transform data from class Transform
+ */
+class Renderer{
+    // Shader functions to convert the colors, which are interpolated in the space chosen by u_ColorSpace
+    // (0: sRGB, 1: linear RGB, 2: OKLab) between the vertex shader and the fragment shader
+    static COLOR_SPACE_SHADER_SOURCE =
+        'uniform mediump int u_ColorSpace;\n' +   // same precision in both shaders
+        'vec3 srgbToLinear(vec3 c) {\n' +
+        '  return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));\n' +
+        '}\n' +
+        'vec3 linearToSrgb(vec3 c) {\n' +
+        '  c = max(c, 0.0);\n' +
+        '  return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));\n' +
+        '}\n' +
+        'vec3 linearToOklab(vec3 c) {\n' +
+        '  vec3 lms = vec3(dot(vec3(0.4122214708, 0.5363325363, 0.0514459929), c),\n' +
+        '                  dot(vec3(0.2119034982, 0.6806995451, 0.1073969566), c),\n' +
+        '                  dot(vec3(0.0883024619, 0.2817188376, 0.6299787005), c));\n' +
+        '  lms = pow(max(lms, 0.0), vec3(1.0 / 3.0));\n' +
+        '  return vec3(dot(vec3(0.2104542553, 0.7936177850, -0.0040720468), lms),\n' +
+        '              dot(vec3(1.9779984951, -2.4285922050, 0.4505937099), lms),\n' +
+        '              dot(vec3(0.0259040371, 0.7827717662, -0.8086757660), lms));\n' +
+        '}\n' +
+        'vec3 oklabToLinear(vec3 lab) {\n' +
+        '  vec3 lms = vec3(dot(vec3(1.0, 0.3963377774, 0.2158037573), lab),\n' +
+        '                  dot(vec3(1.0, -0.1055613458, -0.0638541728), lab),\n' +
+        '                  dot(vec3(1.0, -0.0894841775, -1.2914855480), lab));\n' +
+        '  lms = lms * lms * lms;\n' +
+        '  return vec3(dot(vec3(4.0767416621, -3.3077115913, 0.2309699292), lms),\n' +
+        '              dot(vec3(-1.2684380046, 2.6097574011, -0.3413193965), lms),\n' +
+        '              dot(vec3(-0.0041960863, -0.7034186147, 1.7076147010), lms));\n' +
+        '}\n' +
+        'vec3 toColorSpace(vec3 srgb) {\n' +
+        '  if (u_ColorSpace == 1) return srgbToLinear(srgb);\n' +
+        '  if (u_ColorSpace == 2) return linearToOklab(srgbToLinear(srgb));\n' +
+        '  return srgb;\n' +
+        '}\n' +
+        'vec3 fromColorSpace(vec3 c) {\n' +
+        '  if (u_ColorSpace == 1) c = linearToSrgb(c);\n' +
+        '  else if (u_ColorSpace == 2) c = linearToSrgb(oklabToLinear(c));\n' +
+        '  return clamp(c, 0.0, 1.0);\n' +
+        '}\n';
+
+    // Shader function of the fragment shaders to sample the image at the texture coordinates,
+    // as is or multiplied by the color, depending on u_TextureMode (0: no image, 1: replace, 2: modulate)
+    static TEXTURE_SHADER_SOURCE =
+        'uniform sampler2D u_Sampler;\n' +
+        'uniform int u_TextureMode;\n' +
+        'vec4 applyTexture(vec3 color, vec2 texCoord) {\n' +
+        '  if (u_TextureMode == 0) return vec4(color, 1.0);\n' +
+        '  vec3 texel = texture2D(u_Sampler, texCoord).rgb;\n' +
+        '  return vec4(u_TextureMode == 1 ? texel : texel * color, 1.0);\n' +
+        '}\n';
+
+    // Vertex shader program
+    V_SHADER_SOURCE =
+        'attribute vec4 a_Position;\n' +
+        'attribute vec4 a_Color;\n' +
+        'attribute vec2 a_TexCoord;\n' +
+        'uniform mat4 u_ModelMatrix;\n' +
+        'varying vec3 v_Color;\n' +
+        'varying vec2 v_TexCoord;\n' +
+        Renderer.COLOR_SPACE_SHADER_SOURCE +
+        'void main() {\n' +
+        '  gl_Position = u_ModelMatrix * a_Position;\n' +
+        '  v_Color = toColorSpace(a_Color.rgb);\n' +
+        '  v_TexCoord = a_TexCoord;\n' +
+        '}\n';
+
+    // Fragment shader program
+    F_SHADER_SOURCE =
+        'precision mediump float;\n' +
+        'varying vec3 v_Color;\n' +
+        'varying vec2 v_TexCoord;\n' +
+        Renderer.COLOR_SPACE_SHADER_SOURCE +
+        Renderer.TEXTURE_SHADER_SOURCE +
+        'void main() {\n' +
+        '  gl_FragColor = applyTexture(fromColorSpace(v_Color), v_TexCoord);\n' +
+        '}\n';
+
+    // Vertex shader program of the quads with bilinear interpolated colors,
+    // the corners and their colors are the same for all the vertices of a quad
+    QUAD_V_SHADER_SOURCE =
+        'attribute vec4 a_Position;\n' +
+        'attribute vec4 a_Corners01;\n' +
+        'attribute vec4 a_Corners23;\n' +
+        'attribute vec4 a_Colors0;\n' +
+        'attribute vec4 a_Colors1;\n' +
+        'attribute vec4 a_Colors2;\n' +
+        'attribute vec4 a_TexCoords01;\n' +
+        'attribute vec4 a_TexCoords23;\n' +
+        'uniform mat4 u_ModelMatrix;\n' +
+        'varying vec2 v_Position;\n' +
+        'varying vec4 v_Corners01;\n' +
+        'varying vec4 v_Corners23;\n' +
+        'varying vec4 v_Colors0;\n' +          // packed like a_Colors to fit in 8 varying vectors
+        'varying vec4 v_Colors1;\n' +
+        'varying vec4 v_Colors2;\n' +
+        'varying vec4 v_TexCoords01;\n' +
+        'varying vec4 v_TexCoords23;\n' +
+        Renderer.COLOR_SPACE_SHADER_SOURCE +
+        'void main() {\n' +
+        '  gl_Position = u_ModelMatrix * a_Position;\n' +
+        '  v_Position = a_Position.xy;\n' +
+        '  v_Corners01 = a_Corners01;\n' +
+        '  v_Corners23 = a_Corners23;\n' +
+        '  vec3 color0 = toColorSpace(a_Colors0.rgb);\n' +
+        '  vec3 color1 = toColorSpace(vec3(a_Colors0.a, a_Colors1.rg));\n' +
+        '  vec3 color2 = toColorSpace(vec3(a_Colors1.ba, a_Colors2.r));\n' +
+        '  vec3 color3 = toColorSpace(a_Colors2.gba);\n' +
+        '  v_Colors0 = vec4(color0, color1.r);\n' +
+        '  v_Colors1 = vec4(color1.gb, color2.rg);\n' +
+        '  v_Colors2 = vec4(color2.b, color3);\n' +
+        '  v_TexCoords01 = a_TexCoords01;\n' +
+        '  v_TexCoords23 = a_TexCoords23;\n' +
+        '}\n';
+
+    // Fragment shader program of the quads, finds the bilinear coordinates (s, t) of the fragment in its quad
+    // (p0 -> p1 is s, p0 -> p3 is t), so the colors and the image do not depend on the diagonal the quad is split along
+    QUAD_F_SHADER_SOURCE =
+        '#ifdef GL_FRAGMENT_PRECISION_HIGH\n' +
+        'precision highp float;\n' +
+        '#else\n' +
+        'precision mediump float;\n' +
+        '#endif\n' +
+        'varying vec2 v_Position;\n' +
+        'varying vec4 v_Corners01;\n' +
+        'varying vec4 v_Corners23;\n' +
+        'varying vec4 v_Colors0;\n' +
+        'varying vec4 v_Colors1;\n' +
+        'varying vec4 v_Colors2;\n' +
+        'varying vec4 v_TexCoords01;\n' +
+        'varying vec4 v_TexCoords23;\n' +
+        Renderer.COLOR_SPACE_SHADER_SOURCE +
+        Renderer.TEXTURE_SHADER_SOURCE +
+        'float cross2(vec2 a, vec2 b) {\n' +
+        '  return a.x * b.y - a.y * b.x;\n' +
+        '}\n' +
+        // u of h = e * u + f * v + g * u * v when v is known, projected onto e + g * v to avoid dividing by 0
+        'float solveU(vec2 h, vec2 e, vec2 f, vec2 g, float v) {\n' +
+        '  vec2 d = e + g * v;\n' +
+        '  return dot(h - f * v, d) / dot(d, d);\n' +
+        '}\n' +
+        // solve p = a + e * u + f * v + g * u * v for (u, v), i.e. (s, t)
+        'vec2 inverseBilinear(vec2 p, vec2 a, vec2 b, vec2 c, vec2 d) {\n' +
+        '  vec2 e = b - a;\n' +
+        '  vec2 f = d - a;\n' +
+        '  vec2 g = a - b + c - d;\n' +
+        '  vec2 h = p - a;\n' +
+        '  float k2 = cross2(g, f);\n' +
+        '  float k1 = cross2(e, f) + cross2(h, g);\n' +
+        '  float k0 = cross2(h, e);\n' +
+        '  if (abs(k2) <= 1e-4 * abs(cross2(e, f))) {\n' +   // opposite edges parallel, linear equation
+        '    float v = -k0 / k1;\n' +
+        '    return vec2(solveU(h, e, f, g, v), v);\n' +
+        '  }\n' +
+        '  float w = sqrt(max(k1 * k1 - 4.0 * k0 * k2, 0.0));\n' +
+        '  float v = (-k1 - w) / (2.0 * k2);\n' +
+        '  float u = solveU(h, e, f, g, v);\n' +
+        '  if (u < 0.0 || u > 1.0 || v < 0.0 || v > 1.0) {\n' +
+        '    v = (-k1 + w) / (2.0 * k2);\n' +
+        '    u = solveU(h, e, f, g, v);\n' +
+        '  }\n' +
+        '  return vec2(u, v);\n' +
+        '}\n' +
+        'vec2 bilinear(vec2 p0, vec2 p1, vec2 p2, vec2 p3, vec2 st) {\n' +
+        '  return mix(mix(p0, p1, st.x), mix(p3, p2, st.x), st.y);\n' +
+        '}\n' +
+        'vec3 bilinear(vec3 c0, vec3 c1, vec3 c2, vec3 c3, vec2 st) {\n' +
+        '  return mix(mix(c0, c1, st.x), mix(c3, c2, st.x), st.y);\n' +
+        '}\n' +
+        'void main() {\n' +
+        '  vec2 st = clamp(inverseBilinear(v_Position, v_Corners01.xy, v_Corners01.zw, v_Corners23.xy, v_Corners23.zw),\n' +
+        '    0.0, 1.0);\n' +
+        '  vec3 color = bilinear(v_Colors0.rgb, vec3(v_Colors0.a, v_Colors1.rg), vec3(v_Colors1.ba, v_Colors2.r),\n' +
+        '    v_Colors2.gba, st);\n' +
+        '  vec2 texCoord = bilinear(v_TexCoords01.xy, v_TexCoords01.zw, v_TexCoords23.xy, v_TexCoords23.zw, st);\n' +
+        '  gl_FragColor = applyTexture(fromColorSpace(color), texCoord);\n' +
+        '}\n';
+
+    // Vertex shader program of the border lines
+    // segments: p0 -> p1, corner = [along, side]; joints: p0 -> p1 -> p2 turning at p1, corner = [x, y]
+    LINE_V_SHADER_SOURCE =
+        'attribute vec2 a_P0;\n' +
+        'attribute vec2 a_P1;\n' +
+        'attribute vec2 a_P2;\n' +
+        'attribute vec2 a_Corner;\n' +
+        'attribute vec4 a_Color;\n' +
+        'uniform mat4 u_ModelMatrix;\n' +
+        'uniform vec2 u_Resolution;\n' +
+        'uniform mediump float u_Width;\n' +   // same precision in both shaders
+        'uniform vec3 u_Color;\n' +
+        'uniform bool u_IsJoint;\n' +
+        'uniform mediump int u_Join;\n' +   // 0: miter, 1: round, 2: bevel
+        'varying vec3 v_Color;\n' +
+        'varying vec2 v_Offset;\n' +        // offset from the center line (segments) or the joint (joints) in pixels
+        'varying float v_Distance;\n' +     // distance along the segment in pixels
+        'vec2 toScreen(vec2 p) {\n' +
+        '  vec4 clip = u_ModelMatrix * vec4(p, 0.0, 1.0);\n' +
+        '  return (clip.xy / clip.w * 0.5 + 0.5) * u_Resolution;\n' +
+        '}\n' +
+        'vec2 direction(vec2 from, vec2 to) {\n' +
+        '  vec2 d = to - from;\n' +
+        '  return length(d) > 0.0 ? normalize(d) : vec2(1.0, 0.0);\n' +
+        '}\n' +
+        'void main() {\n' +
+        '  float halfWidth = u_Width * 0.5;\n' +
+        '  vec2 p0 = toScreen(a_P0);\n' +
+        '  vec2 p1 = toScreen(a_P1);\n' +
+        '  vec2 pos;\n' +
+        '  v_Offset = vec2(0.0);\n' +
+        '  v_Distance = 0.0;\n' +
+        '  if (!u_IsJoint) {\n' +
+        '    vec2 d = direction(p0, p1);\n' +
+        '    float side = a_Corner.y * (halfWidth + 1.0);\n' +   // one more pixel for anti-aliasing
+        '    pos = mix(p0, p1, a_Corner.x) + vec2(-d.y, d.x) * side;\n' +
+        '    v_Offset = vec2(0.0, side);\n' +
+        '    v_Distance = a_Corner.x * length(p1 - p0);\n' +
+        '  } else if (u_Join == 1) {\n' +
+        '    v_Offset = a_Corner * (halfWidth + 1.0);\n' +
+        '    pos = p1 + v_Offset;\n' +
+        '  } else {\n' +
+        '    vec2 d1 = direction(p0, p1);\n' +
+        '    vec2 d2 = direction(p1, toScreen(a_P2));\n' +
+        '    float s = d1.x * d2.y - d1.y * d2.x > 0.0 ? -1.0 : 1.0;\n' +   // normals point to the outer side
+        '    vec2 n1 = vec2(-d1.y, d1.x) * s;\n' +
+        '    vec2 n2 = vec2(-d2.y, d2.x) * s;\n' +
+        '    vec2 tip = (n1 + n2) * 0.5 * halfWidth;\n' +
+        '    vec2 m = n1 + n2;\n' +
+        '    if (u_Join == 0 && length(m) > 0.5) {\n' +      // miter limit: at most twice the width, otherwise bevel
+        '      m = normalize(m);\n' +
+        '      tip = m * halfWidth / dot(m, n1);\n' +
+        '    }\n' +
+        '    if (a_Corner.x < 0.0 && a_Corner.y < 0.0) pos = p1;\n' +
+        '    else if (a_Corner.x > 0.0 && a_Corner.y < 0.0) pos = p1 + n1 * halfWidth;\n' +
+        '    else if (a_Corner.x > 0.0) pos = p1 + tip;\n' +
+        '    else pos = p1 + n2 * halfWidth;\n' +
+        '  }\n' +
+        '  gl_Position = vec4(pos / u_Resolution * 2.0 - 1.0, 0.0, 1.0);\n' +
+        '  v_Color = mix(u_Color, a_Color.rgb, a_Color.a);\n' +
+        '}\n';
+
+    // Fragment shader program of the border lines
+    LINE_F_SHADER_SOURCE =
+        'precision mediump float;\n' +
+        'uniform mediump float u_Width;\n' +
+        'uniform bool u_IsJoint;\n' +
+        'uniform mediump int u_Join;\n' +
+        'uniform vec4 u_Dash;\n' +          // [on, off, on, off] in pixels, all zero for solid lines
+        'varying vec3 v_Color;\n' +
+        'varying vec2 v_Offset;\n' +
+        'varying float v_Distance;\n' +
+        'void main() {\n' +
+        '  float alpha = 1.0;\n' +
+        '  if (!u_IsJoint) {\n' +
+        '    alpha = clamp(u_Width * 0.5 + 0.5 - abs(v_Offset.y), 0.0, 1.0);\n' +
+        '  } else if (u_Join == 1) {\n' +
+        '    alpha = clamp(u_Width * 0.5 + 0.5 - length(v_Offset), 0.0, 1.0);\n' +
+        '  }\n' +
+        '  float period = u_Dash.x + u_Dash.y + u_Dash.z + u_Dash.w;\n' +
+        '  if (period > 0.0) {\n' +
+        '    float t = mod(v_Distance, period);\n' +
+        '    if ((t >= u_Dash.x && t < u_Dash.x + u_Dash.y) || t >= u_Dash.x + u_Dash.y + u_Dash.z) discard;\n' +
+        '  }\n' +
+        '  if (alpha <= 0.0) discard;\n' +
+        '  gl_FragColor = vec4(v_Color, alpha);\n' +
+        '}\n';
+
+    // Vertex shader program of the vertex handles, drawn as round points of constant size in pixels
+    HANDLE_V_SHADER_SOURCE =
+        'attribute vec4 a_Position;\n' +
+        'uniform mat4 u_ModelMatrix;\n' +
+        'uniform mediump float u_Size;\n' +
+        'void main() {\n' +
+        '  gl_Position = u_ModelMatrix * a_Position;\n' +
+        '  gl_PointSize = u_Size;\n' +
+        '}\n';
+
+    // Fragment shader program of the vertex handles
+    HANDLE_F_SHADER_SOURCE =
+        'precision mediump float;\n' +
+        'uniform mediump float u_Size;\n' +
+        'uniform vec3 u_FillColor;\n' +
+        'uniform vec3 u_OutlineColor;\n' +
+        'void main() {\n' +
+        '  float r = length(gl_PointCoord - 0.5) * u_Size;\n' +   // distance to the center in pixels
+        '  float radius = u_Size * 0.5;\n' +
+        '  float alpha = clamp(radius - r, 0.0, 1.0);\n' +
+        '  if (alpha <= 0.0) discard;\n' +
+        '  vec3 color = mix(u_OutlineColor, u_FillColor, clamp(radius - 1.5 - r, 0.0, 1.0));\n' +
+        '  gl_FragColor = vec4(color, alpha);\n' +
+        '}\n';
+
+    // Vertex shader program of the vertices drawn as dots in their colors
+    DOT_V_SHADER_SOURCE =
+        'attribute vec4 a_Position;\n' +
+        'attribute vec4 a_Color;\n' +
+        'uniform mat4 u_ModelMatrix;\n' +
+        'uniform mediump float u_Size;\n' +
+        'varying vec4 v_Color;\n' +
+        'void main() {\n' +
+        '  gl_Position = u_ModelMatrix * a_Position;\n' +
+        '  gl_PointSize = u_Size;\n' +
+        '  v_Color = a_Color;\n' +
+        '}\n';
+
+    // Fragment shader program of the dots
+    DOT_F_SHADER_SOURCE =
+        'precision mediump float;\n' +
+        'uniform mediump float u_Size;\n' +
+        'varying vec4 v_Color;\n' +
+        'void main() {\n' +
+        '  float alpha = clamp(u_Size * (0.5 - length(gl_PointCoord - 0.5)), 0.0, 1.0);\n' +
+        '  if (alpha <= 0.0) discard;\n' +
+        '  gl_FragColor = vec4(v_Color.rgb, alpha);\n' +
+        '}\n';
+
+    // join styles of the border lines, in the order of u_Join
+    static JOINS = ['miter', 'round', 'bevel'];
+    // how the colors are interpolated across quads: along the two triangles they are split into, or bilinearly
+    static QUAD_INTERPOLATIONS = ['triangle', 'bilinear'];
+    // how the faces are filled: interpolated colors, one color per face (average or first point),
+    // or only a dot on every vertex
+    static SHADING_MODES = ['smooth', 'flat-average', 'flat-first', 'points'];
+    // spaces the colors are interpolated in, in the order of u_ColorSpace
+    static COLOR_SPACES = ['srgb', 'linear', 'oklab'];
+    // how the image is drawn on the faces: not at all, instead of the colors, or multiplied by the colors
+    static TEXTURE_MODES = ['none', 'replace', 'modulate'];
+
+    /**
+     * Create a renderer with given shapes and transform,
+     * and initialize the webgl context, shaders and buffers
+     * @constructor
+     * @param {Shapes} shapes
+     * @param {Transform} transform
+     * @param {Object} borderStyle - {width, join, dash, color}, see DEFAULT_BORDER_STYLE
+     * @param {number} pixelRatio - device pixels per CSS pixel of the canvas (default 1)
+     */
+    constructor(shapes, transform, borderStyle, pixelRatio = 1){
+        this.shapes = shapes;
+        this.transform = transform;
+        this.setBorderStyle(borderStyle);
+        this.pixelRatio = 0;
+        this.setPixelRatio(pixelRatio);
+
+        this.gl = getWebGLContext(this.shapes.dom);
+        if (!this.gl) {
+            throw new Error('Failed to get the rendering context for WebGL');
+        }
+        this.fillProgram = this.createProgramInfo(this.V_SHADER_SOURCE, this.F_SHADER_SOURCE,
+            ['a_Position', 'a_Color', 'a_TexCoord'], ['u_ModelMatrix', 'u_ColorSpace', 'u_Sampler', 'u_TextureMode']);
+        this.lineProgram = this.createProgramInfo(this.LINE_V_SHADER_SOURCE, this.LINE_F_SHADER_SOURCE,
+            ['a_P0', 'a_P1', 'a_P2', 'a_Corner', 'a_Color'],
+            ['u_ModelMatrix', 'u_Resolution', 'u_Width', 'u_Color', 'u_IsJoint', 'u_Join', 'u_Dash']);
+        this.handleProgram = this.createProgramInfo(this.HANDLE_V_SHADER_SOURCE, this.HANDLE_F_SHADER_SOURCE,
+            ['a_Position'], ['u_ModelMatrix', 'u_Size', 'u_FillColor', 'u_OutlineColor']);
+        this.quadProgram = this.createProgramInfo(this.QUAD_V_SHADER_SOURCE, this.QUAD_F_SHADER_SOURCE,
+            ['a_Position', 'a_Corners01', 'a_Corners23', 'a_Colors0', 'a_Colors1', 'a_Colors2', 'a_TexCoords01', 'a_TexCoords23'],
+            ['u_ModelMatrix', 'u_ColorSpace', 'u_Sampler', 'u_TextureMode']);
+        this.quadInterpolation = 'triangle';
+        this.dotProgram = this.createProgramInfo(this.DOT_V_SHADER_SOURCE, this.DOT_F_SHADER_SOURCE,
+            ['a_Position', 'a_Color'], ['u_ModelMatrix', 'u_Size']);
+        this.shadingMode = 'smooth';
+        this.colorSpace = 'srgb';
+
+        // texture of the loaded image, a white pixel before any image is loaded
+        this.texture = this.gl.createTexture();
+        if (!this.texture) {
+            throw new Error('Failed to create the texture object');
+        }
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
+        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, 1, 1, 0, this.gl.RGBA, this.gl.UNSIGNED_BYTE,
+            new Uint8Array([255, 255, 255, 255]));
+        // images of any size can only be clamped and not mipmapped in WebGL 1
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+        this.image = null;
+        this.textureMode = 'none';
+
+        // 32-bit indices are needed for meshes with more than 65536 points
+        this.IndexArray = this.gl.getExtension('OES_element_index_uint') ? Uint32Array : Uint16Array;
+        this.indexType = this.IndexArray === Uint32Array ? this.gl.UNSIGNED_INT : this.gl.UNSIGNED_SHORT;
+
+        this.vertexBuffer = this.gl.createBuffer();
+        this.triangleIndexBuffer = this.gl.createBuffer();
+        // the triangles except the ones of the quads, drawn with this.quads when interpolated bilinearly
+        this.nonQuadIndexBuffer = this.gl.createBuffer();
+        if (!this.vertexBuffer || !this.triangleIndexBuffer || !this.nonQuadIndexBuffer) {
+            throw new Error('Failed to create the buffer object');
+        }
+        this.quads = new FaceMesh(this.gl, FaceMesh.BILINEAR_VERTEX_SIZE, FaceMesh.getBilinearData);
+        this.flatFaces = new FaceMesh(this.gl, Point.VERTEX_SIZE,
+            f => FaceMesh.getFlatData(f, this.shadingMode === 'flat-first'));
+        this.polygonBorder = new LineMesh(this.gl);
+        this.triangleBorder = new LineMesh(this.gl);
+        this.facePreview = new LineMesh(this.gl);
+        this.facePreviewStyle = Renderer.normalizeLineStyle(FACE_PREVIEW_STYLE);
+        this.gizmoRing = new LineMesh(this.gl);
+        this.gizmoStyles = Object.fromEntries(Object.entries(GIZMO_STYLES).map(([state, style]) =>
+            [state, Renderer.normalizeLineStyle(style)]));
+        // positions [x, y, z] of the center and scale handles of the gizmo
+        this.gizmoBuffer = this.gl.createBuffer();
+        if (!this.gizmoBuffer) {
+            throw new Error('Failed to create the buffer object');
+        }
+        this.pathLines = new LineMesh(this.gl);
+        this.pathStyle = Renderer.normalizeLineStyle(MOTION_PATH_STYLE);
+        // positions [x, y, z] of the points of the motion path being edited
+        this.pathBuffer = this.gl.createBuffer();
+        if (!this.pathBuffer) {
+            throw new Error('Failed to create the buffer object');
+        }
+
+        // topology version of the shapes currently stored in the buffers
+        this.uploadedVersion = -1;
+        this.triangleIndicesCount = 0;
+        this.nonQuadIndicesCount = 0;
+    }
+
+    /**
+     * Compile and link a shader program, and get the storage locations of its attributes and uniforms
+     * @param {string} vshader - vertex shader source
+     * @param {string} fshader - fragment shader source
+     * @param {string[]} attributes - names of the attributes
+     * @param {string[]} uniforms - names of the uniforms
+     * @returns {{program: WebGLProgram, attributes: Object, uniforms: Object}}
+     */
+    createProgramInfo(vshader, fshader, attributes, uniforms){
+        let program = createProgram(this.gl, vshader, fshader);
+        if (!program) {
+            throw new Error('Failed to initialize shaders.');
+        }
+        let info = {program: program, attributes: {}, uniforms: {}};
+        attributes.forEach(name => {
+            info.attributes[name] = this.gl.getAttribLocation(program, name);
+            if (info.attributes[name] < 0) {
+                throw new Error(`Failed to get the storage location of ${name}`);
+            }
+        });
+        uniforms.forEach(name => {
+            info.uniforms[name] = this.gl.getUniformLocation(program, name);
+            if (!info.uniforms[name]) {
+                throw new Error(`Failed to get the storage location of ${name}`);
+            }
+        });
+        return info;
+    }
+
+    /**
+     * Use the program and point its attributes to the given buffer
+     * @param {Object} programInfo - returned by createProgramInfo
+     * @param {WebGLBuffer} buffer
+     * @param {number} vertexSize - number of floats of a vertex
+     * @param {Array} layout - [[attribute name, number of floats], ...] in the order in the vertex
+     */
+    useProgram(programInfo, buffer, vertexSize, layout){
+        let F_SIZE = Float32Array.BYTES_PER_ELEMENT;
+        this.gl.useProgram(programInfo.program);
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+        let offset = 0;
+        layout.forEach(([name, size]) => {
+            let location = programInfo.attributes[name];
+            this.gl.vertexAttribPointer(location, size, this.gl.FLOAT, false, F_SIZE * vertexSize, F_SIZE * offset);
+            this.gl.enableVertexAttribArray(location);
+            offset += size;
+        });
+    }
+
+    /**
+     * Disable the attributes of the program after drawing with it
+     * @param {Object} programInfo - returned by createProgramInfo
+     */
+    releaseProgram(programInfo){
+        Object.values(programInfo.attributes).forEach(location => this.gl.disableVertexAttribArray(location));
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, null);
+    }
+
+    /**
+     * Resize the backbuffer of the canvas to the size of the canvas coordinate system multiplied by the pixel ratio,
+     * so that it stays sharp on high-DPI displays
+     * @param {number} ratio - device pixels per CSS pixel, e.g. devicePixelRatio
+     * @returns {boolean} whether the backbuffer was resized
+     */
+    setPixelRatio(ratio){
+        if(!(ratio > 0)){
+            throw new Error("Pixel ratio must be positive");
+        }else if(ratio === this.pixelRatio){
+            return false;
+        }
+        this.pixelRatio = ratio;
+        this.shapes.dom.width = Math.round(this.shapes.width * ratio);
+        this.shapes.dom.height = Math.round(this.shapes.height * ratio);
+        return true;
+    }
+
+    /**
+     * Set the style of the border lines
+     * @param {Object} borderStyle - {width, join, dash, color}, see DEFAULT_BORDER_STYLE
+     */
+    setBorderStyle(borderStyle){
+        this.borderStyle = Renderer.normalizeLineStyle({...DEFAULT_BORDER_STYLE, ...borderStyle});
+    }
+
+    /**
+     * Set how the colors are interpolated across quads
+     * @param {string} mode - one of Renderer.QUAD_INTERPOLATIONS
+     */
+    setQuadInterpolation(mode){
+        if(!Renderer.QUAD_INTERPOLATIONS.includes(mode)){
+            throw new Error(`Unknown quad interpolation: ${mode}`);
+        }
+        this.quadInterpolation = mode;
+    }
+
+    /**
+     * Set how the faces are filled
+     * @param {string} mode - one of Renderer.SHADING_MODES
+     */
+    setShadingMode(mode){
+        if(!Renderer.SHADING_MODES.includes(mode)){
+            throw new Error(`Unknown shading mode: ${mode}`);
+        }
+        this.shadingMode = mode;
+        // the colors of the flat faces depend on the mode
+        this.uploadedVersion = -1;
+    }
+
+    /**
+     * Set the space the colors are interpolated in
+     * @param {string} space - one of Renderer.COLOR_SPACES
+     */
+    setColorSpace(space){
+        if(!Renderer.COLOR_SPACES.includes(space)){
+            throw new Error(`Unknown color space: ${space}`);
+        }
+        this.colorSpace = space;
+    }
+
+    /**
+     * Set how the image is drawn on the faces, which only takes effect after an image is loaded
+     * @param {string} mode - one of Renderer.TEXTURE_MODES
+     */
+    setTextureMode(mode){
+        if(!Renderer.TEXTURE_MODES.includes(mode)){
+            throw new Error(`Unknown texture mode: ${mode}`);
+        }
+        this.textureMode = mode;
+    }
+
+    /**
+     * Upload the image to be mapped onto the faces by the texture coordinates of the points
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+     */
+    setImage(image){
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
+        // the rows of images start from the top, while v = 0 is the bottom
+        this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, true);
+        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, image);
+        this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, false);
+        this.image = image;
+    }
+
+    /**
+     * Bind the texture to the sampler of the program in use, and set its texture mode
+     * @param {Object} programInfo - returned by createProgramInfo, with uniforms u_Sampler and u_TextureMode
+     */
+    bindTexture(programInfo){
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
+        this.gl.uniform1i(programInfo.uniforms.u_Sampler, 0);
+        this.gl.uniform1i(programInfo.uniforms.u_TextureMode, this.image ? Renderer.TEXTURE_MODES.indexOf(this.textureMode) : 0);
+    }
+
+    /**
+     * Check a line style, and add its dash pattern as [on, off, on, off] for the shader
+     * @param {Object} style - {width, join, dash, color}, see DEFAULT_BORDER_STYLE
+     * @returns {Object} {width, join, dash, color, dashPattern}
+     */
+    static normalizeLineStyle(style){
+        if(!(style.width > 0)){
+            throw new Error("Border width must be positive");
+        }else if(!Renderer.JOINS.includes(style.join)){
+            throw new Error(`Unknown border join: ${style.join}`);
+        }else if(style.dash.length > 4 || style.dash.some(d => !(d >= 0))){
+            throw new Error("Border dash must have at most 4 non-negative lengths");
+        }else if(style.color.some(c => c < 0 || c > 255)){
+            throw new Error("Color out of bounds");
+        }
+        // an odd number of dash lengths is repeated to make on / off pairs
+        let dash = style.dash.length % 2 === 1 ? [...style.dash, ...style.dash] : [...style.dash];
+        if(dash.length > 4){
+            throw new Error("Border dash must have at most 4 non-negative lengths");
+        }
+        return {...style, dashPattern: [...dash, 0, 0, 0, 0].slice(0, 4)};
+    }
+
+    /**
+     * Bring the buffers up to date with the shapes
+     *
+     * If points or triangles were added, upload all the vertices, indices and border lines again.
+     * Otherwise, only overwrite the vertices and border quads of the moved points in place.
+     */
+    updateBuffers(){
+        let shapes = this.shapes;
+        if(this.uploadedVersion !== shapes.topologyVersion){
+            let vertexData = shapes.getVertexData();
+            if(this.IndexArray === Uint16Array && vertexData.length / Point.VERTEX_SIZE > 65536){
+                throw new Error('Too many points for 16-bit indices');
+            }
+            let triangleIndices = shapes.getTriangleIndices(this.IndexArray);
+            let nonQuadIndices = shapes.getTriangleIndices(this.IndexArray, true);
+
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, vertexData, this.gl.DYNAMIC_DRAW);
+            this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.triangleIndexBuffer);
+            this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, triangleIndices, this.gl.STATIC_DRAW);
+            this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.nonQuadIndexBuffer);
+            this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, nonQuadIndices, this.gl.STATIC_DRAW);
+            this.quads.set(shapes.getQuads());
+            this.flatFaces.set(shapes.getDrawnFaces());
+            this.polygonBorder.set(shapes.getPolygonEdges(), shapes.getPolygonJoints());
+            this.triangleBorder.set(shapes.getTriangleEdges(), shapes.getTriangleJoints());
+
+            this.triangleIndicesCount = triangleIndices.length;
+            this.nonQuadIndicesCount = nonQuadIndices.length;
+            this.uploadedVersion = shapes.topologyVersion;
+        }else if(shapes.dirtyPoints.size > 0){
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
+            shapes.dirtyPoints.forEach(p => {
+                this.gl.bufferSubData(this.gl.ARRAY_BUFFER,
+                    p.index * Point.VERTEX_SIZE * Float32Array.BYTES_PER_ELEMENT,
+                    new Float32Array(p.getVertexData()));
+            });
+            this.polygonBorder.updatePoints(shapes.dirtyPoints);
+            if(shapes.subdivision){
+                // a control point moves many refined vertices, so all of them are evaluated and uploaded again,
+                // each buffer at once instead of quad by quad
+                shapes.subdivision.update();
+                this.gl.bufferSubData(this.gl.ARRAY_BUFFER,
+                    shapes.points.length * Point.VERTEX_SIZE * Float32Array.BYTES_PER_ELEMENT,
+                    shapes.subdivision.getVertexData());
+                this.triangleBorder.updateAll();
+                this.quads.updateAll();
+                this.flatFaces.updateAll();
+            }else{
+                this.triangleBorder.updatePoints(shapes.dirtyPoints);
+                this.quads.updatePoints(shapes.dirtyPoints);
+                this.flatFaces.updatePoints(shapes.dirtyPoints);
+            }
+        }
+        shapes.dirtyPoints.clear();
+    }
+
+    /**
+     * Render the shapes
+     *
+     * Notice: fetch data from this.shapes and this.transform
+     * @param {string} borderMode - one of BORDER_MODES
+     * @param {Object|null} handles - {hover: Point|null, drag: Point[], selected: Point|null, path: Point[]}
+     * to render the vertex handles, null to hide them
+     * @param {Object|null} facePreview - {points: Point[], cursor: number[]|null} to render the outline of the polygon
+     * being created through the points to the cursor [x, y] stored in Shapes, null if no polygon is being created
+     * @param {Object|null} gizmo - {center, scaleHandle, radius, hover, drag} to render the gizmo, see renderGizmo,
+     * null to hide it
+     * @param {Object|null} path - {path, hover, drag} to render the motion path being edited, see renderPath,
+     * null to hide it
+     */
+    render(borderMode, handles = null, facePreview = null, gizmo = null, path = null){
+        // Render Shapes
+        // Pass the vertices, colors and indices to the shader if they changed
+        this.updateBuffers();
+
+        // Clear
+        this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+        this.gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+
+        // Pass the transformation matrix to the shader and draw
+        this.renderFill();
+
+        // Render Border
+        if(borderMode !== 'none'){
+            this.renderLines(borderMode === 'polygon' ? this.polygonBorder : this.triangleBorder, this.borderStyle);
+        }
+
+        // Render the polygon being created
+        if(facePreview){
+            let path = facePreview.cursor ?
+                [...facePreview.points, {x: facePreview.cursor[0], y: facePreview.cursor[1]}] : facePreview.points;
+            let segments = path.slice(1).map((p, i) => [path[i], p, null]);
+            let joints = path.slice(1, -1).map((p, i) => [path[i], p, path[i + 2], null]);
+            this.facePreview.set(segments, joints);
+            this.renderLines(this.facePreview, this.facePreviewStyle);
+        }
+
+        // Render Handles
+        if(handles){
+            this.renderHandles(handles);
+        }
+
+        // Render Motion Path
+        if(path){
+            this.renderPath(path);
+        }
+
+        // Render Gizmo
+        if(gizmo){
+            this.renderGizmo(gizmo);
+        }
+    }
+
+    /**
+     * Render the faces of the shapes in this.shadingMode
+     * @param {Float32Array} matrix - model matrix (default the view transform)
+     */
+    renderFill(matrix = this.transform.matrixElements){
+        if(this.shadingMode === 'points'){
+            this.renderDots(matrix);
+            return;
+        }else if(this.shadingMode !== 'smooth'){
+            this.useProgram(this.fillProgram, this.flatFaces.buffer, Point.VERTEX_SIZE,
+                [['a_Position', 3], ['a_Color', 3], ['a_TexCoord', 2]]);
+            this.gl.uniformMatrix4fv(this.fillProgram.uniforms.u_ModelMatrix, false, matrix);
+            this.gl.uniform1i(this.fillProgram.uniforms.u_ColorSpace, Renderer.COLOR_SPACES.indexOf(this.colorSpace));
+            this.bindTexture(this.fillProgram);
+            this.gl.drawArrays(this.gl.TRIANGLES, 0, this.flatFaces.verticesCount);
+            this.releaseProgram(this.fillProgram);
+            return;
+        }
+
+        // with bilinear interpolation, the quads are drawn by their own program instead
+        let isBilinear = this.quadInterpolation === 'bilinear';
+        let colorSpace = Renderer.COLOR_SPACES.indexOf(this.colorSpace);
+        this.useProgram(this.fillProgram, this.vertexBuffer, Point.VERTEX_SIZE,
+            [['a_Position', 3], ['a_Color', 3], ['a_TexCoord', 2]]);
+        this.gl.uniformMatrix4fv(this.fillProgram.uniforms.u_ModelMatrix, false, matrix);
+        this.gl.uniform1i(this.fillProgram.uniforms.u_ColorSpace, colorSpace);
+        this.bindTexture(this.fillProgram);
+        this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, isBilinear ? this.nonQuadIndexBuffer : this.triangleIndexBuffer);
+        this.gl.drawElements(this.gl.TRIANGLES, isBilinear ? this.nonQuadIndicesCount : this.triangleIndicesCount,
+            this.indexType, 0);
+        this.releaseProgram(this.fillProgram);
+        if(isBilinear){
+            this.useProgram(this.quadProgram, this.quads.buffer, FaceMesh.BILINEAR_VERTEX_SIZE, [['a_Position', 2],
+                ['a_Corners01', 4], ['a_Corners23', 4], ['a_Colors0', 4], ['a_Colors1', 4], ['a_Colors2', 4],
+                ['a_TexCoords01', 4], ['a_TexCoords23', 4]]);
+            this.gl.uniformMatrix4fv(this.quadProgram.uniforms.u_ModelMatrix, false, matrix);
+            this.gl.uniform1i(this.quadProgram.uniforms.u_ColorSpace, colorSpace);
+            this.bindTexture(this.quadProgram);
+            this.gl.drawArrays(this.gl.TRIANGLES, 0, this.quads.verticesCount);
+            this.releaseProgram(this.quadProgram);
+        }
+    }
+
+    /**
+     * Render a dot in its color on every vertex of the mesh, which are the refined ones if subdivided
+     * @param {Float32Array} matrix - model matrix (default the view transform)
+     */
+    renderDots(matrix = this.transform.matrixElements){
+        let shapes = this.shapes;
+        let uniforms = this.dotProgram.uniforms;
+        this.useProgram(this.dotProgram, this.vertexBuffer, Point.VERTEX_SIZE, [['a_Position', 3], ['a_Color', 3]]);
+        this.gl.uniformMatrix4fv(uniforms.u_ModelMatrix, false, matrix);
+        this.gl.uniform1f(uniforms.u_Size, DOT_SIZE * this.pixelRatio);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        if(shapes.subdivision){
+            this.gl.drawArrays(this.gl.POINTS, shapes.points.length, shapes.subdivision.vertices.length);
+        }else{
+            this.gl.drawArrays(this.gl.POINTS, 0, shapes.points.length);
+        }
+        this.gl.disable(this.gl.BLEND);
+        this.releaseProgram(this.dotProgram);
+    }
+
+    /**
+     * Render the faces of a region into an offscreen image of the given size, without the view transform,
+     * the borders and the handles, e.g. to export the warped image
+     *
+     * the area outside the faces is transparent
+     * @param {number} width - in pixels, positive integer
+     * @param {number} height - in pixels, positive integer
+     * @param {number[]} region - [left, bottom, right, top] in WebGL coordinate system (default the whole canvas)
+     * @returns {HTMLCanvasElement} 2D canvas holding the rendered image
+     */
+    renderToImage(width, height, region = [-1, -1, 1, 1]){
+        let gl = this.gl;
+        let maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+        if(!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 ||
+            width > maxSize || height > maxSize){
+            throw new Error(`Image size must be integers in [1, ${maxSize}]`);
+        }
+        this.updateBuffers();
+
+        // render into a texture, as the color renderbuffers of WebGL 1 have at most 5 bits per channel
+        let target = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, target);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        let framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+        let pixels = new Uint8Array(width * height * 4);
+        try{
+            if(gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE){
+                throw new Error("Failed to create the framebuffer");
+            }
+            gl.viewport(0, 0, width, height);
+            gl.clearColor(0.0, 0.0, 0.0, 0.0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            let [left, bottom, right, top] = region;
+            this.renderFill(new Matrix4().setOrtho(left, right, bottom, top, -1, 1).elements);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        }finally{
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(target);
+        }
+
+        // the rows read start from the bottom, while the rows of images start from the top
+        let canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        let context = canvas.getContext('2d');
+        let imageData = context.createImageData(width, height);
+        let rowSize = width * 4;
+        for(let row = 0; row < height; row++){
+            imageData.data.set(pixels.subarray((height - 1 - row) * rowSize, (height - row) * rowSize), row * rowSize);
+        }
+        context.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Render a handle on every point, and highlight the hovered, the selected, the dragged ones
+     * and the ones of the polygon being created
+     * @param {Object} handles - {hover: Point|null, drag: Point[], selected: Point|null, path: Point[]}
+     */
+    renderHandles(handles){
+        let {hover: hoverPoint, drag: dragPoints, selected: selectedPoint, path: pathPoints} = handles;
+        let uniforms = this.handleProgram.uniforms;
+        this.useProgram(this.handleProgram, this.vertexBuffer, Point.VERTEX_SIZE, [['a_Position', 3]]);
+        this.gl.uniformMatrix4fv(uniforms.u_ModelMatrix, false, this.transform.matrixElements);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+
+        let draw = (style, first, count) => {
+            this.gl.uniform1f(uniforms.u_Size, style.size * this.pixelRatio);
+            this.gl.uniform3fv(uniforms.u_FillColor, style.fill);
+            this.gl.uniform3fv(uniforms.u_OutlineColor, style.outline);
+            this.gl.drawArrays(this.gl.POINTS, first, count);
+        };
+        draw(HANDLE_STYLES.normal, 0, this.shapes.points.length);
+        pathPoints.forEach(p => draw(HANDLE_STYLES.selected, p.index, 1));
+        if(selectedPoint && !dragPoints.includes(selectedPoint)){
+            draw(HANDLE_STYLES.selected, selectedPoint.index, 1);
+        }
+        if(hoverPoint && hoverPoint !== selectedPoint && !dragPoints.includes(hoverPoint)){
+            draw(HANDLE_STYLES.hover, hoverPoint.index, 1);
+        }
+        dragPoints.forEach(p => draw(HANDLE_STYLES.drag, p.index, 1));
+
+        this.gl.disable(this.gl.BLEND);
+        this.releaseProgram(this.handleProgram);
+    }
+
+    /**
+     * Render the segments and joints of a line mesh as anti-aliased quads
+     *
+     * joints are skipped for dashed lines, as they would fill the gaps
+     * @param {LineMesh} lines
+     * @param {Object} style - returned by Renderer.normalizeLineStyle
+     * @param {Float32Array} matrix - model matrix (default the view transform)
+     */
+    renderLines(lines, style, matrix = this.transform.matrixElements){
+        let uniforms = this.lineProgram.uniforms;
+        this.useProgram(this.lineProgram, lines.buffer, LineMesh.VERTEX_SIZE,
+            [['a_P0', 2], ['a_P1', 2], ['a_P2', 2], ['a_Corner', 2], ['a_Color', 4]]);
+        this.gl.uniformMatrix4fv(uniforms.u_ModelMatrix, false, matrix);
+        this.gl.uniform2f(uniforms.u_Resolution, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+        this.gl.uniform1f(uniforms.u_Width, style.width * this.pixelRatio);
+        this.gl.uniform3fv(uniforms.u_Color, style.color.map(c => c / 255));
+        this.gl.uniform1i(uniforms.u_Join, Renderer.JOINS.indexOf(style.join));
+        this.gl.uniform4fv(uniforms.u_Dash, style.dashPattern.map(d => d * this.pixelRatio));
+
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        this.gl.uniform1i(uniforms.u_IsJoint, 0);
+        this.gl.drawArrays(this.gl.TRIANGLES, 0, lines.segmentsCount * 6);
+        if(style.dashPattern.every(d => d === 0)){
+            this.gl.uniform1i(uniforms.u_IsJoint, 1);
+            this.gl.drawArrays(this.gl.TRIANGLES, lines.segmentsCount * 6, lines.jointsCount * 6);
+        }
+        this.gl.disable(this.gl.BLEND);
+        this.releaseProgram(this.lineProgram);
+    }
+
+    /**
+     * Render the motion path being edited: the curve, the lines from the anchors of a Bézier path
+     * to their control points, and the handles of its points highlighting the hovered or dragged one
+     * @param {Object} path - {path: MotionPath, hover: index|null, drag: index|null}
+     */
+    renderPath({path, hover, drag}){
+        let matrix = this.transform.pathMatrix.elements;
+        let curve = path.samples.map(([x, y]) => ({x: x, y: y}));
+        let points = path.points.map(([x, y]) => ({x: x, y: y}));
+        let segments = curve.slice(1).map((p, i) => [curve[i], p, null]);
+        let joints = curve.slice(1, -1).map((p, i) => [curve[i], p, curve[i + 2], null]);
+        points.forEach((p, i) => {
+            if(path.isControl(i)){
+                // the first control point of a curve belongs to the anchor before it, the second to the one after it
+                segments.push([points[i % 3 === 1 ? i - 1 : i + 1], p, MOTION_PATH_CONTROL_COLOR]);
+            }
+        });
+        this.pathLines.set(segments, joints);
+        this.renderLines(this.pathLines, this.pathStyle, matrix);
+
+        let uniforms = this.handleProgram.uniforms;
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.pathBuffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(path.points.flatMap(([x, y]) => [x, y, 0])),
+            this.gl.DYNAMIC_DRAW);
+        this.useProgram(this.handleProgram, this.pathBuffer, 3, [['a_Position', 3]]);
+        this.gl.uniformMatrix4fv(uniforms.u_ModelMatrix, false, matrix);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        path.points.forEach((_, i) => {
+            let style = i === drag ? HANDLE_STYLES.drag : i === hover ? HANDLE_STYLES.hover :
+                path.isControl(i) ? HANDLE_STYLES.control : HANDLE_STYLES.normal;
+            this.gl.uniform1f(uniforms.u_Size, style.size * this.pixelRatio);
+            this.gl.uniform3fv(uniforms.u_FillColor, style.fill);
+            this.gl.uniform3fv(uniforms.u_OutlineColor, style.outline);
+            this.gl.drawArrays(this.gl.POINTS, i, 1);
+        });
+        this.gl.disable(this.gl.BLEND);
+        this.releaseProgram(this.handleProgram);
+    }
+
+    /**
+     * Render the gizmo on the screen: a ring to rotate the mesh, a handle on its center to translate
+     * and a handle on the ring to scale, highlighting the hovered or dragged part
+     * @param {Object} gizmo - {center: [x, y], scaleHandle: [x, y], radius, hover, drag}, positions in webgl system
+     * on the screen, radius in pixels, hover and drag are 'translate' | 'rotate' | 'scale' | null
+     */
+    renderGizmo(gizmo){
+        let {center: [x, y], scaleHandle, radius, hover, drag} = gizmo;
+        let state = part => drag === part ? 'drag' : hover === part ? 'hover' : 'normal';
+        let identity = new Matrix4().elements;
+
+        // the ring is a closed polyline, whose radius is the same in pixels on both axes
+        let count = 64;
+        let ring = Array.from({length: count}, (_, i) => ({
+            x: x + Math.cos(2 * Math.PI * i / count) * radius * 2 / this.shapes.width,
+            y: y + Math.sin(2 * Math.PI * i / count) * radius * 2 / this.shapes.height,
+        }));
+        this.gizmoRing.set(ring.map((p, i) => [p, ring[(i + 1) % count], null]),
+            ring.map((p, i) => [ring[(i + count - 1) % count], p, ring[(i + 1) % count], null]));
+        this.renderLines(this.gizmoRing, this.gizmoStyles[state('rotate')], identity);
+
+        let uniforms = this.handleProgram.uniforms;
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.gizmoBuffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([x, y, 0, ...scaleHandle, 0]), this.gl.DYNAMIC_DRAW);
+        this.useProgram(this.handleProgram, this.gizmoBuffer, 3, [['a_Position', 3]]);
+        this.gl.uniformMatrix4fv(uniforms.u_ModelMatrix, false, identity);
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+        ['translate', 'scale'].forEach((part, i) => {
+            let style = HANDLE_STYLES[state(part)];
+            this.gl.uniform1f(uniforms.u_Size, style.size * this.pixelRatio);
+            this.gl.uniform3fv(uniforms.u_FillColor, style.fill);
+            this.gl.uniform3fv(uniforms.u_OutlineColor, style.outline);
+            this.gl.drawArrays(this.gl.POINTS, i, 1);
+        });
+        this.gl.disable(this.gl.BLEND);
+        this.releaseProgram(this.handleProgram);
+    }
+
+}
+
+/**
+ * @class MovePointsCommand
+ * An undoable command which moves some points of the shapes
+ *
+ * Commands share the interface {undo(), redo(), merge(command)}, where merge tries to absorb a following command
+ * into this one, so that continuous edits become a single step in the EditHistory
+ */
+class MovePointsCommand{
+    /**
+     * Create a command of moving points, which is already done
+     * @constructor
+     * @param {Shapes} shapes
+     * @param {Map<Point, {from: number[], to: number[]}>} moves - positions [x, y] in WebGL system before and after moving
+     * @param {number|null} session - commands of the same drag session are merged (default null, never merged)
+     */
+    constructor(shapes, moves, session = null){
+        this.shapes = shapes;
+        this.moves = moves;
+        this.session = session;
+    }
+
+    undo(){
+        this.moves.forEach((move, point) => this.shapes.movePoint(point, ...move.from));
+    }
+
+    redo(){
+        this.moves.forEach((move, point) => this.shapes.movePoint(point, ...move.to));
+    }
+
+    /**
+     * Merge the moves of a following command of the same drag session,
+     * keeping the earliest start position and the latest end position of each point
+     * @param {Object} command
+     * @returns {boolean} whether the command is merged
+     */
+    merge(command){
+        if(!(command instanceof MovePointsCommand) || this.session === null || command.session !== this.session){
+            return false;
+        }
+        command.moves.forEach((move, point) => {
+            let from = this.moves.has(point) ? this.moves.get(point).from : move.from;
+            this.moves.set(point, {from: from, to: move.to});
+        });
+        return true;
+    }
+}
+
+/**
+ * @class TopologyCommand
+ * An undoable command which adds or removes points or polygons of the shapes
+ */
+class TopologyCommand{
+    /**
+     * Create a command of changing the topology, which is already done
+     * @constructor
+     * @param {Shapes} shapes
+     * @param {Object} before - Shapes.snapshot() before the change
+     * @param {Object} after - Shapes.snapshot() after the change
+     */
+    constructor(shapes, before, after){
+        this.shapes = shapes;
+        this.before = before;
+        this.after = after;
+    }
+
+    undo(){
+        this.shapes.restore(this.before);
+    }
+
+    redo(){
+        this.shapes.restore(this.after);
+    }
+
+    merge(command){
+        return false;
+    }
+}
+
+/**
+ * @class PathCommand
+ * An undoable command which edits a motion path
+ */
+class PathCommand{
+    /**
+     * Create a command of editing a motion path, which is already done
+     * @constructor
+     * @param {MotionPath} path
+     * @param {Object} before - returned by path.snapshot before editing
+     * @param {Object} after - returned by path.snapshot after editing
+     * @param {number|null} session - commands of the same drag session are merged (default null, never merged)
+     */
+    constructor(path, before, after, session = null){
+        this.path = path;
+        this.before = before;
+        this.after = after;
+        this.session = session;
+    }
+
+    undo(){
+        this.path.restore(this.before);
+    }
+
+    redo(){
+        this.path.restore(this.after);
+    }
+
+    merge(command){
+        if(!(command instanceof PathCommand) || this.session === null || command.session !== this.session ||
+            command.path !== this.path){
+            return false;
+        }
+        this.after = command.after;
+        return true;
+    }
+}
+
+/**
+ * @class EditHistory
+ * A class to store the done and undone commands for undo / redo, with a limited depth
+ */
+class EditHistory{
+    /**
+     * @constructor
+     * @param {number} limit - max number of steps which can be undone (default HISTORY_LIMIT)
+     */
+    constructor(limit = HISTORY_LIMIT){
+        if(!(limit > 0)){
+            throw new Error("History limit must be positive");
+        }
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo(){
+        return this.undoStack.length > 0;
+    }
+    get canRedo(){
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record a command which is already done
+     *
+     * the command is merged into the last one if possible, and the commands undone before can no longer be redone
+     * @param {Object} command - {undo(), redo(), merge(command)}
+     */
+    push(command){
+        this.redoStack = [];
+        let last = this.undoStack[this.undoStack.length - 1];
+        if(last && last.merge(command)){
+            return;
+        }
+        this.undoStack.push(command);
+        if(this.undoStack.length > this.limit){
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Undo the last command
+     * @returns {boolean} whether there is a command to undo
+     */
+    undo(){
+        let command = this.undoStack.pop();
+        if(!command){
+            return false;
+        }
+        command.undo();
+        this.redoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {boolean} whether there is a command to redo
+     */
+    redo(){
+        let command = this.redoStack.pop();
+        if(!command){
+            return false;
+        }
+        command.redo();
+        this.undoStack.push(command);
+        return true;
+    }
+}
+
+/**
+ * @class Controller
+ * A class which control the renderer for border mode, drag vertex and animation
+ */
+class Controller{
+    /**
+     * @constructor
+     * Create a controller with given renderer
+     * @param {Renderer} renderer
+     * @param {string} borderMode - one of BORDER_MODES (default 'polygon')
+     * @param {number} pickRadius - pick tolerance of the vertices in pixels (default PICK_RADIUS)
+     * @param {EditHistory} history - history of the edits for undo / redo (default a new EditHistory)
+     */
+    constructor(renderer, borderMode = 'polygon', pickRadius = PICK_RADIUS, history = new EditHistory()) {
+        if(!BORDER_MODES.includes(borderMode)){
+            throw new Error(`Unknown border mode: ${borderMode}`);
+        }else if(!(pickRadius > 0)){
+            throw new Error("Pick radius must be positive");
+        }
+        this.renderer = renderer;
+        this.borderMode = borderMode;
+        this.pickRadius = pickRadius;
+        this.history = history;
+        this.isShowHandles = false;
+        this.animationID = null;
+        // called after every frame of the animation, e.g. to show its progress
+        this.onAnimationFrame = null;
+
+        this.hover_point = null;
+        this.selected_point = null;
+        // color [r, g, b] [0-255] of the points added by clicking
+        this.new_point_color = [255, 255, 255];
+        // {pointerId, position} of the pointer which may click on the empty space to add a point
+        this.click_candidate = null;
+        // points of the polygon being created in face mode, null if not in face mode
+        this.face_points = null;
+        // pointer position [x, y] stored in Shapes for the preview of the next edge in face mode
+        this.face_cursor = null;
+        // pointer id -> {point, offset} of the points being dragged, several at a time on touch screens
+        this.drags = new Map();
+        // id of the current drag session, the moves of all the pointers dragging at the same time are one undo step
+        this.drag_session = 0;
+        // pointer id -> position in webgl system of the pointers not dragging any point, two of them pinch / rotate the view
+        this.gesture_pointers = new Map();
+        // one of PIVOT_MODES, and the chosen point in the "vertex" mode
+        this.pivot_mode = 'canvas';
+        this.pivot_point = null;
+        // whether the gizmo to rotate, scale and translate the whole mesh is shown
+        this.isShowGizmo = false;
+        // part of the gizmo under the pointer: 'translate' | 'rotate' | 'scale' | null
+        this.gizmo_hover = null;
+        // {pointerId, part, position} of the pointer dragging the gizmo, position in webgl system
+        this.gizmo_drag = null;
+        // whether the motion path is being edited, instead of the shapes
+        this.path_mode = false;
+        // index of the point of the motion path under the pointer
+        this.path_hover = null;
+        // {pointerId, index, offset} of the pointer dragging a point of the motion path, like this.drags
+        this.path_drag = null;
+    }
+
+    /**
+     * Tell the renderer to render the shapes
+     *
+     * use this.borderMode to determine how to render the border,
+     * and this.isShowHandles to determine whether to render the vertex handles (hidden while animating)
+     */
+    render(){
+        let handles = this.isShowHandles && this.animationID === null ? {
+            hover: this.hover_point,
+            drag: [...this.drags.values()].map(d => d.point),
+            selected: this.selected_point,
+            path: this.face_points || [],
+        } : null;
+        let facePreview = this.face_points ? {points: this.face_points, cursor: this.face_cursor} : null;
+        let gizmo = this.isShowGizmo && this.animationID === null ? {
+            ...this.getGizmo(),
+            hover: this.gizmo_hover,
+            drag: this.gizmo_drag ? this.gizmo_drag.part : null,
+        } : null;
+        let path = this.path_mode && this.animationID === null ? {
+            path: this.renderer.transform.timeline.path,
+            hover: this.path_hover,
+            drag: this.path_drag ? this.path_drag.index : null,
+        } : null;
+        this.renderer.render(this.borderMode, handles, facePreview, gizmo, path);
+    }
+
+    startAnimation(){
+        // the centroid and bounding box may have changed by editing, without moving the mesh when resuming
+        this.updatePivot(true);
+        this.renderer.transform.startTransform();
+        this.updateAnimation();
+    }
+
+    updateAnimation(){
+        this.renderer.transform.updateTransform();
+        this.updateMorph();
+        this.render();
+        if(this.onAnimationFrame){
+            this.onAnimationFrame();
+        }
+        this.animationID = requestAnimationFrame(() => this.updateAnimation());
+    }
+
+    stopAnimation(){
+        cancelAnimationFrame(this.animationID);
+        this.animationID = null;
+        // the points are only morphed while playing or scrubbing, so that they are edited in their rest pose
+        this.renderer.shapes.restorePose();
+        this.render();
+    }
+
+    /**
+     * Morph the points by the weights of the morph targets at the time of the animation
+     */
+    updateMorph(){
+        let shapes = this.renderer.shapes;
+        let transform = this.renderer.transform;
+        if(shapes.morphTargets.length > 0){
+            shapes.applyMorph(transform.timeline.getWeights(transform.time, shapes.morphTargets.length));
+        }
+    }
+
+    /**
+     * Jump to the given time of the animation, and redraw
+     * @param {number} time - in seconds since the animation started
+     */
+    setAnimationTime(time){
+        this.renderer.transform.setTime(time);
+        this.updateMorph();
+        this.render();
+    }
+
+    /**
+     * Move the animation by whole frames, and redraw
+     * @param {number} frames - negative to step back
+     */
+    stepAnimation(frames){
+        this.renderer.transform.step(frames);
+        this.updateMorph();
+        this.render();
+    }
+
+    /**
+     * Put the points back to the rest pose if they are morphed by scrubbing the paused animation,
+     * so that they are edited in their rest pose
+     */
+    restoreRestPose(){
+        if(this.renderer.shapes.restPose){
+            this.renderer.shapes.restorePose();
+            this.render();
+        }
+    }
+
+    /**
+     * coordinate stored in Shapes -> coordinate after view, rotation and scale
+     * @param {number} x - x coordinate of the point stored in Shapes
+     * @param {number} y - y coordinate of the point stored in Shapes
+     * @returns {[number, number]} - coordinate after view, rotation and scale
+     */
+    transformPoint(x, y){
+        let vec = this.renderer.transform.matrix.multiplyVector4(new Vector4([x, y, 0, 1]));
+        return [vec.elements[0], vec.elements[1]];
+    }
+
+    /**
+     * coordinate after view, rotation and scale -> coordinate stored in Shapes
+     * @param {number} x - x coordinate of the point after view, rotation and scale
+     * @param {number} y - y coordinate of the point after view, rotation and scale
+     * @returns {[number, number]} - coordinate stored in Shapes
+     */
+    inverseTransformPoint(x, y){
+        let inverseMatrix = new Matrix4().setInverseOf(this.renderer.transform.matrix)
+        let vec = inverseMatrix.multiplyVector4(new Vector4([x, y, 0, 1]));
+        return [vec.elements[0], vec.elements[1]];
+    }
+
+    /**
+     * Find the point under the pointer
+     *
+     * the points are compared on the screen after view, rotation and scale, so the tolerance is this.pickRadius pixels
+     * whatever the scale is, and the nearest one is chosen if several points are in range
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @returns {Point|undefined}
+     */
+    findPoint(clientX, clientY){
+        let shapes = this.renderer.shapes;
+        let e = this.renderer.transform.matrix.elements;
+        let dragged = new Set([...this.drags.values()].map(d => d.point));
+        let nearest = undefined;
+        let nearestDistance = this.pickRadius;
+        shapes.points.forEach(p => {
+            if(dragged.has(p)){
+                return;
+            }
+            // coordinate stored in Shapes -> coordinate after view, rotation and scale -> coordinate in canvas system
+            let [x, y] = Point.webGLCoordinateToCanvas(e[0] * p.x + e[4] * p.y + e[12], e[1] * p.x + e[5] * p.y + e[13],
+                shapes.width, shapes.height);
+            let distance = Math.hypot(x - clientX, y - clientY);
+            if(distance <= nearestDistance){
+                nearest = p;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Find the edge of the polygons under the pointer
+     *
+     * like findPoint, the edges are compared on the screen within this.pickRadius pixels, and the nearest one is chosen
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @returns {{a: Point, b: Point, t: number}|null} the edge (a, b) and the position t along it nearest to the pointer
+     */
+    findEdge(clientX, clientY){
+        let shapes = this.renderer.shapes;
+        let e = this.renderer.transform.matrix.elements;
+        let toCanvas = p => Point.webGLCoordinateToCanvas(e[0] * p.x + e[4] * p.y + e[12], e[1] * p.x + e[5] * p.y + e[13],
+            shapes.width, shapes.height);
+        let nearest = null;
+        let nearestDistance = this.pickRadius;
+        shapes.topology.getEdges().forEach(([a, b]) => {
+            let [ax, ay] = toCanvas(a);
+            let [bx, by] = toCanvas(b);
+            let lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+            if(lengthSquared === 0){
+                return;
+            }
+            let t = Math.min(1, Math.max(0, ((clientX - ax) * (bx - ax) + (clientY - ay) * (by - ay)) / lengthSquared));
+            let distance = Math.hypot(ax + t * (bx - ax) - clientX, ay + t * (by - ay) - clientY);
+            if(distance <= nearestDistance){
+                nearest = {a: a, b: b, t: t};
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Handle pointer down event
+     *
+     * If editing is allowed and there is a point under the pointer which is not dragged by another pointer,
+     * select it and start dragging it. Otherwise, the pointer takes part in the pinch / rotate gesture of the view,
+     * or adds a point if it is released at the same position without other pointers (see pointerUp).
+     * In face mode, the point under the pointer is added to the polygon being created instead of dragged.
+     * The parts of the gizmo, if shown, are grabbed before the points.
+     * When editing the motion path, its points are dragged instead, and a click adds a point to it.
+     * @param {number} pointerId - id of the pointer
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @param {boolean} canEdit - whether the points can be dragged
+     * @returns {boolean} whether a point or the gizmo is grabbed
+     */
+    pointerDown(pointerId, clientX, clientY, canEdit){
+        let clickedPoint = Point.canvasCoordinateToWebGL(clientX, clientY,
+            this.renderer.shapes.width, this.renderer.shapes.height);
+
+        // another pointer makes it a multi-touch gesture rather than a click
+        this.click_candidate = null;
+
+        let part = this.gizmo_drag ? null : this.findGizmoPart(clientX, clientY);
+        if(part){
+            this.gizmo_drag = {pointerId: pointerId, part: part, position: clickedPoint};
+            this.render();
+            return true;
+        }
+        if(this.path_mode){
+            let index = canEdit && !this.path_drag ? this.findPathPoint(clientX, clientY) : null;
+            if(index !== null){
+                this.drag_session++;
+                let position = this.transformPathPoint(...this.renderer.transform.timeline.path.points[index]);
+                this.path_drag = {
+                    pointerId: pointerId,
+                    index: index,
+                    offset: [clickedPoint[0] - position[0], clickedPoint[1] - position[1]],
+                };
+                this.render();
+                return true;
+            }
+            if(canEdit && !this.path_drag && this.gesture_pointers.size === 0){
+                this.click_candidate = {pointerId: pointerId, position: [clientX, clientY]};
+            }
+            this.gesture_pointers.set(pointerId, clickedPoint);
+            return false;
+        }
+
+        // check whether there are any points near the clicked position
+        let point = canEdit ? this.findPoint(clientX, clientY) : undefined;
+        if(point && this.face_points){
+            this.addFacePoint(point);
+            return true;
+        }else if(point){
+            if(this.drags.size === 0){
+                this.drag_session++;
+            }
+            this.selected_point = point;
+            // save the offset between the clicked position and the point coordinate after view, rotation and scale
+            let trans_point = this.transformPoint(point.x, point.y);
+            this.drags.set(pointerId, {
+                point: point,
+                offset: [clickedPoint[0] - trans_point[0], clickedPoint[1] - trans_point[1]],
+            });
+            this.render();
+            return true;
+        }
+        if(canEdit && !this.face_points && this.drags.size === 0 && this.gesture_pointers.size === 0){
+            this.click_candidate = {pointerId: pointerId, position: [clientX, clientY]};
+        }
+        this.gesture_pointers.set(pointerId, clickedPoint);
+        return false;
+    }
+
+    /**
+     * Handle pointer move event
+     *
+     * drag the point of the pointer, or pinch / rotate the view if two pointers are in the gesture,
+     * or highlight the handle under the pointer if nothing is pressed
+     * @param {number} pointerId - id of the pointer
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     */
+    pointerMove(pointerId, clientX, clientY){
+        // clicked position in canvas system -> clicked position in webgl system
+        let clickedPoint = Point.canvasCoordinateToWebGL(clientX, clientY,
+            this.renderer.shapes.width, this.renderer.shapes.height);
+        if(this.click_candidate && this.click_candidate.pointerId === pointerId &&
+            Math.hypot(clientX - this.click_candidate.position[0], clientY - this.click_candidate.position[1]) > CLICK_TOLERANCE){
+            this.click_candidate = null;
+        }
+        if(this.gizmo_drag && this.gizmo_drag.pointerId === pointerId){
+            this.dragGizmo(this.gizmo_drag.position, clickedPoint);
+            this.gizmo_drag.position = clickedPoint;
+            this.render();
+        }else if(this.path_drag && this.path_drag.pointerId === pointerId){
+            let drag = this.path_drag;
+            let position = this.inverseTransformPathPoint(clickedPoint[0] - drag.offset[0], clickedPoint[1] - drag.offset[1]);
+            this.editPath(path => path.movePoint(drag.index, ...position), this.drag_session);
+        }else if(this.drags.has(pointerId)){
+            let drag = this.drags.get(pointerId);
+            // clicked position in webgl system -> actual point coordinate after view, rotation and scale
+            let tx = clickedPoint[0] - drag.offset[0];
+            let ty = clickedPoint[1] - drag.offset[1];
+            // actual point coordinate after view, rotation and scale -> actual point coordinate stored in Shapes
+            // kept inside the canvas, which is the range of the canvas coordinate system, e.g. in the config file
+            let inv_point = this.inverseTransformPoint(tx, ty).map(v => Math.min(Math.max(v, -1), 1));
+            let from = [drag.point.x, drag.point.y];
+            this.renderer.shapes.movePoint(drag.point, inv_point[0], inv_point[1]);
+            // record the move, which is merged with the other moves of the same drag session
+            this.history.push(new MovePointsCommand(this.renderer.shapes,
+                new Map([[drag.point, {from: from, to: inv_point}]]), this.drag_session));
+            // redraw the shapes
+            this.render();
+        }else if(this.gesture_pointers.has(pointerId)){
+            let previous = [...this.gesture_pointers.values()];
+            this.gesture_pointers.set(pointerId, clickedPoint);
+            if(previous.length === 2){
+                let current = [...this.gesture_pointers.values()];
+                this.renderer.transform.transformView(previous[0], previous[1], current[0], current[1]);
+                if(this.animationID === null){
+                    this.render();
+                }
+            }
+        }else if(this.drags.size === 0 && this.isShowHandles && this.animationID === null){
+            if(this.path_mode){
+                // highlight the point of the motion path under the pointer
+                let index = this.findPathPoint(clientX, clientY);
+                if(index !== this.path_hover){
+                    this.path_hover = index;
+                    this.render();
+                }
+            }else if(this.face_points){
+                // the next edge of the polygon being created follows the pointer
+                this.face_cursor = this.inverseTransformPoint(...clickedPoint);
+                this.hover_point = this.findPoint(clientX, clientY) || null;
+                this.render();
+            }else{
+                // highlight the handle under the pointer
+                this.setHoverPoint(this.findPoint(clientX, clientY) || null);
+            }
+        }
+        if(!this.gizmo_drag && this.drags.size === 0){
+            let part = this.findGizmoPart(clientX, clientY);
+            if(part !== this.gizmo_hover){
+                this.gizmo_hover = part;
+                this.render();
+            }
+        }
+    }
+
+    /**
+     * Handle pointer up / cancel event, release the point or leave the gesture
+     *
+     * if the pointer clicked on the empty space (not on an edge, which is split by double click instead), add a point there,
+     * or a point to the motion path when editing it
+     * @param {number} pointerId - id of the pointer
+     * @param {boolean} isCancel - whether the pointer is canceled, which never clicks (default false)
+     * @returns {Point|null} the added point
+     */
+    pointerUp(pointerId, isCancel = false){
+        if(this.gizmo_drag && this.gizmo_drag.pointerId === pointerId){
+            this.gizmo_drag = null;
+            this.render();
+            return null;
+        }else if(this.path_drag && this.path_drag.pointerId === pointerId){
+            this.path_drag = null;
+            this.render();
+            return null;
+        }
+        this.gesture_pointers.delete(pointerId);
+        if(this.drags.delete(pointerId)){
+            // the pivot follows the moved points once they are dropped, so that they stay under the pointers while dragged
+            this.updatePivot(true);
+            this.render();
+        }
+        let click = this.click_candidate;
+        if(!click || click.pointerId !== pointerId){
+            return null;
+        }
+        this.click_candidate = null;
+        if(isCancel){
+            return null;
+        }else if(this.path_mode){
+            this.addPathPoint(...click.position);
+            return null;
+        }else if(this.findEdge(...click.position)){
+            return null;
+        }
+        return this.addPoint(...click.position);
+    }
+
+    /**
+     * Handle double click event, split the edge under the pointer at the clicked position and select the new point
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @returns {Point|null} the new point, null if there is no edge under the pointer
+     */
+    doubleClick(clientX, clientY){
+        let edge = this.findPoint(clientX, clientY) ? null : this.findEdge(clientX, clientY);
+        if(!edge || edge.t <= 0 || edge.t >= 1){
+            return null;
+        }
+        let shapes = this.renderer.shapes;
+        let before = shapes.snapshot();
+        let point = shapes.splitEdge(edge.a, edge.b, edge.t);
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.selected_point = point;
+        this.updatePivot(true);
+        this.render();
+        return point;
+    }
+
+    /**
+     * Add a point with this.new_point_color at the given position, and select it
+     * @param {number} clientX - x coordinate in canvas system
+     * @param {number} clientY - y coordinate in canvas system
+     * @returns {Point} the added point
+     */
+    addPoint(clientX, clientY){
+        let shapes = this.renderer.shapes;
+        // coordinate in canvas system -> coordinate in webgl system -> coordinate stored in Shapes -> canvas system
+        let webGLPoint = this.inverseTransformPoint(...Point.canvasCoordinateToWebGL(clientX, clientY, shapes.width, shapes.height));
+        let canvasPoint = Point.webGLCoordinateToCanvas(...webGLPoint, shapes.width, shapes.height);
+        let before = shapes.snapshot();
+        let point = shapes.addPoint(...canvasPoint, ...this.new_point_color);
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.selected_point = point;
+        this.updatePivot(true);
+        this.render();
+        return point;
+    }
+
+    /**
+     * Delete the selected point, and clean up the polygons using it
+     *
+     * refused while points are being dragged, as the drags keep the points and their indices
+     * @returns {number|null} number of the removed polygons, null if not deleted
+     */
+    deleteSelectedPoint(){
+        if(this.drags.size > 0){
+            return null;
+        }
+        let shapes = this.renderer.shapes;
+        let before = shapes.snapshot();
+        let removedCount = shapes.removePoint(this.selected_point);
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.selected_point = null;
+        this.hover_point = null;
+        this.validateSelection();
+        this.render();
+        return removedCount;
+    }
+
+    /**
+     * Enter face mode, to create a polygon by clicking its points in order
+     */
+    startFace(){
+        this.face_points = [];
+        this.face_cursor = null;
+        this.render();
+    }
+
+    /**
+     * Leave face mode, discarding the polygon being created
+     */
+    stopFace(){
+        this.face_points = null;
+        this.face_cursor = null;
+        this.render();
+    }
+
+    /**
+     * Discard the points clicked so far, but stay in face mode
+     */
+    cancelFace(){
+        this.face_points = [];
+        this.render();
+    }
+
+    /**
+     * Add a point to the polygon being created, or close the polygon if the point is the first one
+     *
+     * throw an error if the point is already used, or the new edge crosses the previous ones
+     * @param {Point} point
+     * @returns {Polygon|null} the created polygon if it is closed
+     */
+    addFacePoint(point){
+        let path = this.face_points;
+        if(path.length >= 3 && point === path[0]){
+            return this.closeFace();
+        }else if(path.includes(point)){
+            throw new Error("Point is already in the polygon");
+        }
+        if(path.length > 0 && Controller.isCrossingPath(path, path[path.length - 1], point)){
+            throw new Error("Edge crosses the polygon");
+        }
+        path.push(point);
+        this.render();
+        return null;
+    }
+
+    /**
+     * Remove the last point of the polygon being created
+     */
+    removeLastFacePoint(){
+        this.face_points.pop();
+        this.render();
+    }
+
+    /**
+     * Close the polygon being created and add it to the shapes
+     *
+     * throw an error if there are less than 3 points, or the polygon is not valid
+     * @returns {Polygon} the created polygon
+     */
+    closeFace(){
+        let path = this.face_points;
+        if(path.length < 3){
+            throw new Error("Polygon must have at least 3 points");
+        }else if(Controller.isCrossingPath(path.slice(1), path[path.length - 1], path[0])){
+            throw new Error("Edge crosses the polygon");
+        }
+        let shapes = this.renderer.shapes;
+        let before = shapes.snapshot();
+        let polygon = shapes.addPolygon(path.map(p => p.index));
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.face_points = [];
+        this.render();
+        return polygon;
+    }
+
+    /**
+     * Check if the new edge (from, to) appended to the open path crosses it
+     *
+     * from is the last point of the path, the edge must not fold back onto the last edge nor meet the other ones
+     * @param {Point[]} path
+     * @param {Point} from
+     * @param {Point} to
+     * @returns {boolean}
+     */
+    static isCrossingPath(path, from, to){
+        let n = path.length;
+        if(n >= 2){
+            let last = path[n - 2];
+            if(Math.abs(Triangulator.cross(last, from, to)) <= Triangulator.EPSILON &&
+                (last.x - from.x) * (to.x - from.x) + (last.y - from.y) * (to.y - from.y) > 0){
+                return true;
+            }
+        }
+        for(let i = 0; i < n - 2; i++){
+            if(Triangulator.segmentsIntersect(path[i], path[i + 1], from, to)){
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Forget the hovered and selected points if they are no longer in the shapes or the motion path (e.g. after undo),
+     * and move the pivot with the edited points
+     */
+    validateSelection(){
+        let shapes = this.renderer.shapes;
+        if(this.selected_point && !shapes.hasPoint(this.selected_point)){
+            this.selected_point = null;
+        }
+        if(this.hover_point && !shapes.hasPoint(this.hover_point)){
+            this.hover_point = null;
+        }
+        if(this.face_points){
+            this.face_points = this.face_points.filter(p => shapes.hasPoint(p));
+        }
+        if(this.pivot_point && !shapes.hasPoint(this.pivot_point)){
+            this.setPivotMode('canvas');
+        }
+        if(this.path_hover !== null && this.path_hover >= this.renderer.transform.timeline.path.points.length){
+            this.path_hover = null;
+        }
+        // the edit may have moved the pivot vertex, the centroid or the bounding box
+        this.updatePivot(true);
+    }
+
+    /**
+     * Handle pointer leave event, clear the highlighted handle
+     */
+    pointerLeave(){
+        this.gizmo_hover = null;
+        this.setHoverPoint(null);
+    }
+
+    /**
+     * Undo the last edit, not available while dragging
+     * @returns {boolean} whether an edit is undone
+     */
+    undo(){
+        if(this.drags.size > 0 || this.path_drag || !this.history.undo()){
+            return false;
+        }
+        this.renderer.transform.refresh();
+        this.validateSelection();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Redo the last undone edit, not available while dragging
+     * @returns {boolean} whether an edit is redone
+     */
+    redo(){
+        if(this.drags.size > 0 || this.path_drag || !this.history.redo()){
+            return false;
+        }
+        this.renderer.transform.refresh();
+        this.validateSelection();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Set the times the polygons are subdivided into a smooth mesh, as an undoable edit
+     * @param {number} level - [0, SubdivisionSurface.MAX_LEVEL], 0 to turn off
+     * @returns {boolean} whether the level changed
+     */
+    setSubdivisionLevel(level){
+        let shapes = this.renderer.shapes;
+        if(level === shapes.subdivisionLevel){
+            return false;
+        }
+        let before = shapes.snapshot();
+        shapes.setSubdivisionLevel(level);
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.render();
+        return true;
+    }
+
+    /**
+     * Subdivide the polygons more or fewer times
+     * @param {number} levels - added to the current level (default 1), negative to subdivide fewer times
+     * @returns {boolean} whether the level changed
+     */
+    subdivide(levels = 1){
+        return this.setSubdivisionLevel(this.renderer.shapes.subdivisionLevel + levels);
+    }
+
+    /**
+     * Get the largest rectangle with the aspect ratio of the loaded image inside the canvas, centered and
+     * at least GRID_MARGIN away from its edges
+     *
+     * throw an error if no image is loaded
+     * @returns {number[]} [left, top, width, height] in canvas coordinate system
+     */
+    getImageRect(){
+        let shapes = this.renderer.shapes;
+        let image = this.renderer.image;
+        if(!image){
+            throw new Error("No image is loaded");
+        }
+        let scale = Math.min((shapes.width - 2 * GRID_MARGIN) / image.width, (shapes.height - 2 * GRID_MARGIN) / image.height);
+        let width = image.width * scale;
+        let height = image.height * scale;
+        return [(shapes.width - width) / 2, (shapes.height - height) / 2, width, height];
+    }
+
+    /**
+     * Replace the shapes by a grid of columns x rows quads over the loaded image, as an undoable edit
+     *
+     * throw an error if no image is loaded, the grid size is invalid or points are being dragged
+     * @param {number} columns - positive integer
+     * @param {number} rows - positive integer
+     */
+    createImageGrid(columns, rows){
+        if(this.drags.size > 0){
+            throw new Error("Points are being dragged");
+        }
+        let shapes = this.renderer.shapes;
+        let rect = this.getImageRect();
+        let before = shapes.snapshot();
+        shapes.createGrid(columns, rows, rect);
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        this.validateSelection();
+        this.render();
+    }
+
+    /**
+     * Render the faces over the loaded image (or the whole canvas if there is none) into an image of the given size,
+     * so that the warped image can be exported
+     * @param {number} width - in pixels, positive integer
+     * @param {number} height - in pixels, positive integer
+     * @returns {HTMLCanvasElement} 2D canvas holding the rendered image
+     */
+    renderImage(width, height){
+        let shapes = this.renderer.shapes;
+        if(!this.renderer.image){
+            return this.renderer.renderToImage(width, height);
+        }
+        let [left, top, rectWidth, rectHeight] = this.getImageRect();
+        let [x0, y0] = Point.canvasCoordinateToWebGL(left, top + rectHeight, shapes.width, shapes.height);
+        let [x1, y1] = Point.canvasCoordinateToWebGL(left + rectWidth, top, shapes.width, shapes.height);
+        return this.renderer.renderToImage(width, height, [x0, y0, x1, y1]);
+    }
+
+    /**
+     * coordinate of the motion path -> coordinate after view and placement
+     * @param {number} x
+     * @param {number} y
+     * @returns {[number, number]} - coordinate in webgl system on the screen
+     */
+    transformPathPoint(x, y){
+        let vec = this.renderer.transform.pathMatrix.multiplyVector4(new Vector4([x, y, 0, 1]));
+        return [vec.elements[0], vec.elements[1]];
+    }
+
+    /**
+     * coordinate after view and placement -> coordinate of the motion path
+     * @param {number} x - x coordinate in webgl system on the screen
+     * @param {number} y - y coordinate in webgl system on the screen
+     * @returns {[number, number]} - coordinate of the motion path
+     */
+    inverseTransformPathPoint(x, y){
+        let inverseMatrix = new Matrix4().setInverseOf(this.renderer.transform.pathMatrix);
+        let vec = inverseMatrix.multiplyVector4(new Vector4([x, y, 0, 1]));
+        return [vec.elements[0], vec.elements[1]];
+    }
+
+    /**
+     * Find the point of the motion path under the pointer, the nearest one within this.pickRadius pixels
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @returns {number|null} index of the point
+     */
+    findPathPoint(clientX, clientY){
+        let shapes = this.renderer.shapes;
+        let nearest = null;
+        let nearestDistance = this.pickRadius;
+        this.renderer.transform.timeline.path.points.forEach((p, i) => {
+            let [x, y] = Point.webGLCoordinateToCanvas(...this.transformPathPoint(...p), shapes.width, shapes.height);
+            let distance = Math.hypot(clientX - x, clientY - y);
+            if(distance <= nearestDistance){
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Edit the motion path as an undoable edit, and move the mesh along the changed path
+     * @param {Function} edit - called with the MotionPath
+     * @param {number|null} session - edits of the same drag session are one undo step (default null)
+     */
+    editPath(edit, session = null){
+        let path = this.renderer.transform.timeline.path;
+        let before = path.snapshot();
+        edit(path);
+        this.history.push(new PathCommand(path, before, path.snapshot(), session));
+        this.renderer.transform.refresh();
+        this.render();
+    }
+
+    /**
+     * Enter the motion path mode, where clicks add points to the path and its points can be dragged
+     */
+    startPath(){
+        this.path_mode = true;
+        this.hover_point = null;
+        this.render();
+    }
+
+    /**
+     * Leave the motion path mode
+     */
+    stopPath(){
+        this.path_mode = false;
+        this.path_hover = null;
+        this.path_drag = null;
+        this.render();
+    }
+
+    /**
+     * Append a point to the motion path at the position of the pointer
+     * @param {number} clientX - x coordinate in canvas system
+     * @param {number} clientY - y coordinate in canvas system
+     */
+    addPathPoint(clientX, clientY){
+        let shapes = this.renderer.shapes;
+        let position = this.inverseTransformPathPoint(...Point.canvasCoordinateToWebGL(clientX, clientY, shapes.width, shapes.height));
+        this.editPath(path => path.addPoint(...position));
+    }
+
+    /**
+     * Remove the last point of the motion path (with its control points if it is a Bézier path)
+     * @returns {boolean} whether a point is removed
+     */
+    removeLastPathPoint(){
+        if(this.renderer.transform.timeline.path.points.length === 0){
+            return false;
+        }
+        this.editPath(path => path.removeLastPoint());
+        this.validateSelection();
+        return true;
+    }
+
+    /**
+     * Switch the motion path between a polyline and a Bézier path
+     * @param {string} type - one of MotionPath.TYPES
+     */
+    setPathType(type){
+        this.editPath(path => path.setType(type));
+        this.validateSelection();
+    }
+
+    /**
+     * Switch on / off rotating the mesh with the direction of the motion path
+     */
+    togglePathOrient(){
+        this.editPath(path => path.orient = !path.orient);
+    }
+
+    /**
+     * Capture the current pose of the points as a morph target, as an undoable edit
+     * @returns {number} number of the morph targets
+     */
+    addMorphTarget(){
+        let shapes = this.renderer.shapes;
+        let before = shapes.snapshot();
+        shapes.addMorphTarget();
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        return shapes.morphTargets.length;
+    }
+
+    /**
+     * Remove all the morph targets, as an undoable edit
+     * @returns {boolean} whether there were any
+     */
+    clearMorphTargets(){
+        let shapes = this.renderer.shapes;
+        if(shapes.morphTargets.length === 0){
+            return false;
+        }
+        let before = shapes.snapshot();
+        shapes.clearMorphTargets();
+        this.history.push(new TopologyCommand(shapes, before, shapes.snapshot()));
+        return true;
+    }
+
+    /**
+     * Choose the point the animation rotates and scales around
+     *
+     * throw an error if the mode is unknown, or no point is given in the "vertex" mode
+     * @param {string} mode - one of PIVOT_MODES
+     * @param {Point|null} point - the pivot in the "vertex" mode (default the selected point)
+     */
+    setPivotMode(mode, point = this.selected_point){
+        if(!PIVOT_MODES.includes(mode)){
+            throw new Error(`Unknown pivot mode: ${mode}`);
+        }else if(mode === 'vertex' && !point){
+            throw new Error("No point is selected as the pivot");
+        }
+        this.pivot_mode = mode;
+        this.pivot_point = mode === 'vertex' ? point : null;
+        this.updatePivot();
+        this.render();
+    }
+
+    /**
+     * Move the pivot of the animation to the current position given by this.pivot_mode
+     * @param {boolean} isKeepInPlace - whether to keep the mesh where it is on the screen (default false),
+     * e.g. when the pivot follows the edited points while the animation is paused
+     */
+    updatePivot(isKeepInPlace = false){
+        let points = this.renderer.shapes.points;
+        let pivot = [0, 0];
+        if(this.pivot_mode === 'vertex'){
+            pivot = [this.pivot_point.x, this.pivot_point.y];
+        }else if(this.pivot_mode === 'centroid' && points.length > 0){
+            pivot = [points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                points.reduce((sum, p) => sum + p.y, 0) / points.length];
+        }else if(this.pivot_mode === 'bbox' && points.length > 0){
+            let xs = points.map(p => p.x);
+            let ys = points.map(p => p.y);
+            pivot = [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2];
+        }
+        this.renderer.transform.setPivot(...pivot, isKeepInPlace);
+    }
+
+    /**
+     * Get where the gizmo is on the screen: centered on the pivot after the animation and the placement
+     * @returns {Object} {center: [x, y], scaleHandle: [x, y], radius}, positions in webgl system,
+     * the scale handle is on the ring at 45 degrees, radius in pixels
+     */
+    getGizmo(){
+        let shapes = this.renderer.shapes;
+        let center = this.transformPoint(...this.renderer.transform.pivot);
+        return {
+            center: center,
+            scaleHandle: [center[0] + GIZMO_RADIUS * Math.SQRT1_2 * 2 / shapes.width,
+                center[1] + GIZMO_RADIUS * Math.SQRT1_2 * 2 / shapes.height],
+            radius: GIZMO_RADIUS,
+        };
+    }
+
+    /**
+     * Find the part of the gizmo under the pointer, the handles first and then the ring
+     * @param {number} clientX - x coordinate of the pointer in canvas system
+     * @param {number} clientY - y coordinate of the pointer in canvas system
+     * @returns {string|null} 'translate' | 'scale' | 'rotate', null if the gizmo is hidden or missed
+     */
+    findGizmoPart(clientX, clientY){
+        if(!this.isShowGizmo || this.animationID !== null){
+            return null;
+        }
+        let shapes = this.renderer.shapes;
+        let gizmo = this.getGizmo();
+        let distance = position => {
+            let [x, y] = Point.webGLCoordinateToCanvas(...position, shapes.width, shapes.height);
+            return Math.hypot(clientX - x, clientY - y);
+        };
+        if(distance(gizmo.center) <= this.pickRadius){
+            return 'translate';
+        }else if(distance(gizmo.scaleHandle) <= this.pickRadius){
+            return 'scale';
+        }else if(Math.abs(distance(gizmo.center) - gizmo.radius) <= this.pickRadius){
+            return 'rotate';
+        }
+        return null;
+    }
+
+    /**
+     * Rotate, scale or translate the whole mesh around the pivot by the part of the gizmo being dragged
+     * @param {number[]} from - previous position [x, y] of the pointer in webgl system
+     * @param {number[]} to - current position [x, y] of the pointer in webgl system
+     */
+    dragGizmo(from, to){
+        let transform = this.renderer.transform;
+        // positions before the view, where the placement applies
+        let inverseView = new Matrix4().setInverseOf(transform.viewMatrix);
+        let unview = ([x, y]) => {
+            let vec = inverseView.multiplyVector4(new Vector4([x, y, 0, 1]));
+            return [vec.elements[0], vec.elements[1]];
+        };
+        let [x0, y0] = unview(from);
+        let [x1, y1] = unview(to);
+        let center = unview(this.getGizmo().center);
+        let d0 = [x0 - center[0], y0 - center[1]];
+        let d1 = [x1 - center[0], y1 - center[1]];
+        if(this.gizmo_drag.part === 'translate'){
+            transform.transformPlacement(center, 0, 1, [x1 - x0, y1 - y0]);
+        }else if(Math.hypot(...d0) > 0 && Math.hypot(...d1) > 0){
+            if(this.gizmo_drag.part === 'rotate'){
+                let angle = (Math.atan2(d1[1], d1[0]) - Math.atan2(d0[1], d0[0])) * 180 / Math.PI;
+                transform.transformPlacement(center, angle, 1, [0, 0]);
+            }else{
+                transform.transformPlacement(center, 0, Math.hypot(...d1) / Math.hypot(...d0), [0, 0]);
+            }
+        }
+    }
+
+    /**
+     * Show or hide the gizmo
+     */
+    toggleGizmo(){
+        this.isShowGizmo = !this.isShowGizmo;
+        this.gizmo_hover = null;
+        this.gizmo_drag = null;
+        this.render();
+    }
+
+    /**
+     * Undo the rotation, scale and translation of the gizmo
+     */
+    resetPlacement(){
+        this.renderer.transform.resetPlacement();
+        this.render();
+    }
+
+    /**
+     * Reset the view changed by the pinch / rotate gesture
+     */
+    resetView(){
+        this.renderer.transform.resetView();
+        this.render();
+    }
+
+    /**
+     * Change the hovered point, and redraw if it changed
+     * @param {Point|null} point
+     */
+    setHoverPoint(point){
+        if(point !== this.hover_point){
+            this.hover_point = point;
+            this.render();
+        }
+    }
+
+}
+
+/**
+ * @class InteractionManager
+ * A class which handle the interaction between user and the program
+ */
+class InteractionManager{
+    // names of the border modes shown in the hint
+    static BORDER_MODE_NAMES = {'polygon': '多边形', 'triangle': '三角形', 'none': '关'};
+    // names of the shading modes shown in the hint
+    static SHADING_MODE_NAMES = {'smooth': '平滑', 'flat-average': '平均色', 'flat-first': '首顶点色', 'points': '顶点'};
+    // names of the color interpolation spaces shown in the hint
+    static COLOR_SPACE_NAMES = {'srgb': 'sRGB', 'linear': '线性RGB', 'oklab': 'OKLab'};
+    // names of the texture modes shown in the hint
+    static TEXTURE_MODE_NAMES = {'none': '关', 'replace': '图片', 'modulate': '图片×顶点色'};
+    // names of the quad interpolations shown in the hint
+    static QUAD_INTERPOLATION_NAMES = {'triangle': '三角形', 'bilinear': '双线性'};
+    // names of the pivot modes shown in the hint
+    static PIVOT_MODE_NAMES = {'canvas': '画布中心', 'centroid': '顶点重心', 'bbox': '包围盒中心', 'vertex': '选中的顶点'};
+    // names of the motion path types shown in the hint
+    static MOTION_PATH_TYPE_NAMES = {'polyline': '折线', 'bezier': '贝塞尔曲线'};
+    // playback speeds of the animation, chosen by [ and ]
+    static SPEEDS = [0.125, 0.25, 0.5, 1, 2, 4, 8];
+    // types of the input elements which do not take typed keys, so the shortcuts still work when they are focused
+    static NON_TEXT_INPUT_TYPES = ['range', 'checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'image'];
+
+    /**
+     * Create an interaction manager with given controller and HTML elements
+     *
+     * add event listeners of keyboard stroke and pointer (mouse, touch and pen) drag
+     * @constructor
+     * @param {Controller} controller
      * @param {Document} document - DOM document
      * @param {HTMLParagraphElement} hint - HTML paragraph element for hint
      * @param {HTMLParagraphElement} msg - HTML paragraph element for message
+     * @param {HTMLInputElement} colorInput - HTML color input element for the color of new points
+     * @param {HTMLInputElement} imageInput - HTML file input element for the image mapped onto the faces
+     * @param {Object} warpTools - {columns, rows, grid, exportWidth, exportHeight, export}: HTML number inputs of
+     * the size of the image grid and of the exported image, and HTML buttons to create the grid and export the image
+     * @param {Object} timelineTools - {slider, time}: HTML range input to scrub the animation,
+     * and HTML element showing its time
      */
-    constructor(controller, document, hint, msg){
+    constructor(controller, document, hint, msg, colorInput, imageInput, warpTools, timelineTools){
         this.controller = controller;
         let canvasElement = this.controller.renderer.shapes.dom;
         this.document = document;
         this.hintElement = hint;
         this.msgElement = msg;
+        this.colorInput = colorInput;
+        this.imageInput = imageInput;
+        this.warpTools = warpTools;
+        this.timelineTools = timelineTools;
 
         this.isEdit = true;
         this.isAnimating = false;
-        this.controller.isShowBorder = true;
+        this.controller.isShowHandles = this.isEdit;
         this.updateHint();
 
-        this.document.addEventListener('keydown', (event) => {
-            if(event.key === 'b' || event.key === 'B'){
-                this.toggleBorder();
-            }else if(event.key === 't' || event.key === 'T') {
-                this.toggleAnimation();
-            }else if(event.key === 'e' || event.key === 'E'){
-                this.toggleEdit();
+        this.document.addEventListener('keydown', (event) => {
+            // keys typed into the fields on the page are not shortcuts
+            if(InteractionManager.isEditableElement(event.target)){
+                return;
+            }
+            if(event.ctrlKey || event.metaKey){
+                this.shortcutHandler(event);
+            }else if(event.key === 'b' || event.key === 'B'){
+                this.toggleBorder();
+            }else if(event.key === 't' || event.key === 'T') {
+                this.toggleAnimation();
+            }else if(event.key === 'e' || event.key === 'E'){
+                this.toggleEdit();
+            }else if(event.key === 'r' || event.key === 'R'){
+                this.controller.resetView();
+            }else if(event.key === 'f' || event.key === 'F'){
+                this.toggleFace();
+            }else if(event.key === 'm' || event.key === 'M'){
+                this.toggleShading();
+            }else if(event.key === 'c' || event.key === 'C'){
+                this.toggleColorSpace();
+            }else if(event.key === 'x' || event.key === 'X'){
+                this.toggleTexture();
+            }else if(event.key === 'q' || event.key === 'Q'){
+                this.toggleQuadInterpolation();
+            }else if(event.key === 's' || event.key === 'S'){
+                this.changeSubdivision(event.shiftKey ? -1 : 1);
+            }else if(event.key === 'g' || event.key === 'G'){
+                this.createGrid();
+            }else if(event.key === 'p' || event.key === 'P'){
+                this.exportImage();
+            }else if(event.key === '[' || event.key === ']'){
+                this.changeSpeed(event.key === ']' ? 1 : -1);
+            }else if(event.key === 'v' || event.key === 'V'){
+                this.toggleReverse();
+            }else if(event.key === ',' || event.key === '.'){
+                this.stepFrame(event.key === '.' ? 1 : -1);
+            }else if(event.key === 'o' || event.key === 'O'){
+                this.togglePivot();
+            }else if(event.key === 'w' || event.key === 'W'){
+                this.toggleGizmo(event.shiftKey);
+            }else if(event.key === 'k' || event.key === 'K'){
+                this.changeMorphTargets(event.shiftKey);
+            }else if(event.key === 'l' || event.key === 'L'){
+                if(event.shiftKey){
+                    this.togglePathType();
+                }else{
+                    this.togglePath();
+                }
+            }else if(event.key === 'j' || event.key === 'J'){
+                this.togglePathOrient();
+            }else if(event.key === 'Enter' && this.controller.face_points){
+                this.closeFace();
+            }else if(event.key === 'Escape' && this.controller.face_points){
+                this.controller.cancelFace();
+            }else if(event.key === 'Delete' || event.key === 'Backspace'){
+                event.preventDefault();
+                this.deletePoint();
+            }
+        });
+
+        this.updateNewPointColor();
+        this.colorInput.addEventListener('input', _ => this.updateNewPointColor());
+
+        // the image can be chosen by the file input or dropped onto the canvas
+        this.imageInput.addEventListener('change', _ => this.loadImage(this.imageInput.files[0]));
+        canvasElement.addEventListener('dragover', e => e.preventDefault());
+        canvasElement.addEventListener('drop', e => {
+            e.preventDefault();
+            this.loadImage(e.dataTransfer.files[0]);
+        });
+        this.warpTools.grid.addEventListener('click', _ => this.createGrid());
+        this.warpTools.export.addEventListener('click', _ => this.exportImage());
+
+        this.updateTimeline();
+        this.timelineTools.slider.addEventListener('input', _ => this.scrub());
+        this.controller.onAnimationFrame = () => this.updateTimeline();
+
+        // let the pointer events handle touch gestures instead of scrolling / zooming the page
+        canvasElement.style.touchAction = 'none';
+        canvasElement.addEventListener('pointerdown', e => this.pointerDownHandler(e));
+        canvasElement.addEventListener('pointermove', e => this.pointerMoveHandler(e));
+        canvasElement.addEventListener('pointerup', e => this.pointerUpHandler(e));
+        canvasElement.addEventListener('pointercancel', e => this.pointerUpHandler(e));
+        canvasElement.addEventListener('pointerleave', _ => this.controller.pointerLeave());
+        canvasElement.addEventListener('dblclick', e => this.doubleClickHandler(e));
+
+        // devicePixelRatio changes when the page is zoomed or moved to another display
+        window.addEventListener('resize', _ => {
+            if(this.controller.renderer.setPixelRatio(window.devicePixelRatio || 1)){
+                this.controller.render();
             }
         });
 
-        canvasElement.addEventListener('mousedown', e => this.mouseDownHandler(e));
-        canvasElement.addEventListener('mousemove', e => this.mouseMoveHandler(e));
-        canvasElement.addEventListener('mouseup', _ => this.mouseUpHandler());
+    }
+
 
+    /**
+     * Check whether an element takes the keys typed into it, like a text field or a number field
+     * @param {EventTarget} element
+     * @returns {boolean}
+     */
+    static isEditableElement(element){
+        if(!element || !element.tagName){
+            return false;
+        }
+        let tagName = element.tagName.toLowerCase();
+        if(tagName === 'input'){
+            return !InteractionManager.NON_TEXT_INPUT_TYPES.includes((element.type || 'text').toLowerCase());
+        }
+        return tagName === 'textarea' || tagName === 'select' || element.isContentEditable === true;
     }
 
+    /**
+     * Map the position of a pointer event to the canvas coordinate system
+     *
+     * takes the position of the canvas on the page, its border and padding,
+     * and the scaling between its CSS size and the canvas coordinate system into account
+     * @param {PointerEvent} event
+     * @returns {number[]} [xInCanvas, yInCanvas]
+     */
+    canvasCoordinate(event){
+        let shapes = this.controller.renderer.shapes;
+        let canvas = shapes.dom;
+        let rect = canvas.getBoundingClientRect();
+        let style = window.getComputedStyle(canvas);
+        let paddingLeft = parseFloat(style.paddingLeft) || 0;
+        let paddingTop = parseFloat(style.paddingTop) || 0;
+        let contentWidth = canvas.clientWidth - paddingLeft - (parseFloat(style.paddingRight) || 0);
+        let contentHeight = canvas.clientHeight - paddingTop - (parseFloat(style.paddingBottom) || 0);
+        // the bounding rect is also scaled by CSS transforms, while the other sizes are not
+        let scaleX = canvas.offsetWidth ? rect.width / canvas.offsetWidth : 1;
+        let scaleY = canvas.offsetHeight ? rect.height / canvas.offsetHeight : 1;
+        let left = rect.left + (canvas.clientLeft + paddingLeft) * scaleX;
+        let top = rect.top + (canvas.clientTop + paddingTop) * scaleY;
+        return [
+            (event.clientX - left) * shapes.width / (contentWidth * scaleX),
+            (event.clientY - top) * shapes.height / (contentHeight * scaleY),
+        ];
+    }
 
     /**
      * update the hint on the HTML page
      */
     updateHint(){
         this.hintElement.innerText = '';
-        this.hintElement.innerText += `边框[B]: ${this.controller.isShowBorder ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `边框[B]: ${InteractionManager.BORDER_MODE_NAMES[this.controller.borderMode]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `着色[M]: ${InteractionManager.SHADING_MODE_NAMES[this.controller.renderer.shadingMode]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `插值空间[C]: ${InteractionManager.COLOR_SPACE_NAMES[this.controller.renderer.colorSpace]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `纹理[X]: ${InteractionManager.TEXTURE_MODE_NAMES[this.controller.renderer.textureMode]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `四边形插值[Q]: ${InteractionManager.QUAD_INTERPOLATION_NAMES[this.controller.renderer.quadInterpolation]}\u00A0\u00A0\u00A0\u00A0`;
         this.hintElement.innerText += `动画[T]: ${this.isAnimating ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        let speed = this.controller.renderer.transform.speed;
+        this.hintElement.innerText += `速度[[/]]: ${Math.abs(speed)}×\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `倒放[V]: ${speed < 0 ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `逐帧[,/.]\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `中心点[O]: ${InteractionManager.PIVOT_MODE_NAMES[this.controller.pivot_mode]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `变换工具[W]: ${this.controller.isShowGizmo ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0复位变换[Shift+W]\u00A0\u00A0\u00A0\u00A0`;
         this.hintElement.innerText += `编辑[E]: ${this.isEdit ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `重置视图[R]\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `撤销[Ctrl+Z]\u00A0\u00A0\u00A0\u00A0重做[Ctrl+Shift+Z]\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `删除顶点[Delete]\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `双击边插入顶点\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `新建多边形[F]: ${this.controller.face_points ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        let subdivisionLevel = this.controller.renderer.shapes.subdivisionLevel;
+        this.hintElement.innerText += `细分[S/Shift+S]: ${subdivisionLevel > 0 ? `${subdivisionLevel}次` : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        let morphTargetsCount = this.controller.renderer.shapes.morphTargets.length;
+        this.hintElement.innerText += `记录形状[K]: ${morphTargetsCount}个\u00A0\u00A0\u00A0\u00A0清除形状[Shift+K]\u00A0\u00A0\u00A0\u00A0`;
+        let path = this.controller.renderer.transform.timeline.path;
+        this.hintElement.innerText += `运动路径[L]: ${this.controller.path_mode ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `路径类型[Shift+L]: ${InteractionManager.MOTION_PATH_TYPE_NAMES[path.type]}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `沿路径旋转[J]: ${path.orient ? '开' : '关'}\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `保存场景[Ctrl+S]\u00A0\u00A0\u00A0\u00A0`;
+        this.hintElement.innerText += `生成图片网格[G]\u00A0\u00A0\u00A0\u00A0导出PNG[P]\u00A0\u00A0\u00A0\u00A0`;
     }
 
     /**
@@ -558,10 +4868,100 @@ class InteractionManager{
     }
 
     /**
-     * Handle keyboard stroke [B] event to show/hide borders
+     * Handle keyboard stroke [B] event to switch to the next border mode
+     *
+     * polygon edges -> triangle wireframe -> none -> polygon edges
      */
     toggleBorder(){
-        this.controller.isShowBorder = !this.controller.isShowBorder;
+        let index = BORDER_MODES.indexOf(this.controller.borderMode);
+        this.controller.borderMode = BORDER_MODES[(index + 1) % BORDER_MODES.length];
+        this.updateHint();
+        this.controller.render();
+    }
+
+    /**
+     * Handle keyboard stroke [M] event to switch to the next shading mode
+     *
+     * smooth -> flat (average color) -> flat (color of the first point) -> points -> smooth
+     */
+    toggleShading(){
+        let renderer = this.controller.renderer;
+        let index = Renderer.SHADING_MODES.indexOf(renderer.shadingMode);
+        renderer.setShadingMode(Renderer.SHADING_MODES[(index + 1) % Renderer.SHADING_MODES.length]);
+        this.updateHint();
+        this.controller.render();
+    }
+
+    /**
+     * Handle keyboard stroke [C] event to switch to the next space the colors are interpolated in
+     *
+     * sRGB -> linear RGB -> OKLab -> sRGB
+     */
+    toggleColorSpace(){
+        let renderer = this.controller.renderer;
+        let index = Renderer.COLOR_SPACES.indexOf(renderer.colorSpace);
+        renderer.setColorSpace(Renderer.COLOR_SPACES[(index + 1) % Renderer.COLOR_SPACES.length]);
+        this.updateHint();
+        this.controller.render();
+    }
+
+    /**
+     * Handle keyboard stroke [X] event to switch to the next texture mode
+     *
+     * none -> image -> image multiplied by the vertex colors -> none
+     */
+    toggleTexture(){
+        let renderer = this.controller.renderer;
+        let index = Renderer.TEXTURE_MODES.indexOf(renderer.textureMode);
+        renderer.setTextureMode(Renderer.TEXTURE_MODES[(index + 1) % Renderer.TEXTURE_MODES.length]);
+        if(!renderer.image){
+            this.updateMsg('请先选择图片或将图片拖到画布上');
+        }
+        this.updateHint();
+        this.controller.render();
+    }
+
+    /**
+     * Load an image file as the texture, and show it if the texture was off
+     * @param {File} file - chosen by the file input or dropped onto the canvas
+     */
+    loadImage(file){
+        if(!file || !file.type.startsWith('image/')){
+            this.updateMsg('请选择图片文件');
+            return;
+        }
+        let url = URL.createObjectURL(file);
+        let image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            let renderer = this.controller.renderer;
+            renderer.setImage(image);
+            if(renderer.textureMode === 'none'){
+                renderer.setTextureMode('replace');
+            }
+            // export at the size of the image by default
+            this.warpTools.exportWidth.value = image.width;
+            this.warpTools.exportHeight.value = image.height;
+            this.updateHint();
+            this.updateMsg('已加载图片');
+            this.controller.render();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            this.updateMsg('无法加载图片');
+        };
+        image.src = url;
+    }
+
+    /**
+     * Handle keyboard stroke [Q] event to switch how the colors are interpolated across quads
+     *
+     * triangle (along the diagonal the quad is split by) <-> bilinear (independent of the diagonal)
+     */
+    toggleQuadInterpolation(){
+        let renderer = this.controller.renderer;
+        let index = Renderer.QUAD_INTERPOLATIONS.indexOf(renderer.quadInterpolation);
+        renderer.setQuadInterpolation(Renderer.QUAD_INTERPOLATIONS[(index + 1) % Renderer.QUAD_INTERPOLATIONS.length]);
         this.updateHint();
         this.controller.render();
     }
@@ -571,6 +4971,12 @@ class InteractionManager{
      */
     toggleAnimation(){
         this.isAnimating = !this.isAnimating;
+        if(this.isAnimating && this.controller.face_points){
+            this.controller.stopFace();
+        }
+        if(this.isAnimating && this.controller.path_mode){
+            this.controller.stopPath();
+        }
         this.updateHint();
         if(this.isAnimating){
             this.controller.startAnimation();
@@ -580,45 +4986,470 @@ class InteractionManager{
     }
 
     /**
-     * Handle keyboard stroke [E] event to switch on/off edit mode
+     * Handle keyboard stroke [ / ] event to play the animation slower / faster, keeping its direction
+     * @param {number} steps - -1 or 1, through InteractionManager.SPEEDS
      */
-    toggleEdit(){
-        this.isEdit = !this.isEdit;
+    changeSpeed(steps){
+        let transform = this.controller.renderer.transform;
+        let index = InteractionManager.SPEEDS.indexOf(Math.abs(transform.speed)) + steps;
+        if(index < 0 || index >= InteractionManager.SPEEDS.length){
+            this.updateMsg(steps > 0 ? '已是最快速度' : '已是最慢速度');
+            return;
+        }
+        transform.setSpeed(Math.sign(transform.speed) * InteractionManager.SPEEDS[index]);
         this.updateHint();
     }
 
     /**
-     * Handle mouse down event
+     * Handle keyboard stroke [O] event to switch to the next pivot the animation and the gizmo rotate and scale around
      *
-     * If the edit mode is off or the animation is on, show message.
-     * Otherwise, call the controller's mouseDown method.
-     * @param {MouseEvent} event
+     * canvas center -> centroid -> bounding box center -> selected point -> canvas center,
+     * the selected point is skipped if there is none
+     */
+    togglePivot(){
+        let index = PIVOT_MODES.indexOf(this.controller.pivot_mode);
+        let mode = PIVOT_MODES[(index + 1) % PIVOT_MODES.length];
+        if(mode === 'vertex' && !this.controller.selected_point){
+            this.updateMsg('选中顶点后可以将其作为中心点');
+            mode = PIVOT_MODES[(index + 2) % PIVOT_MODES.length];
+        }
+        this.controller.setPivotMode(mode);
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [W] event to show / hide the gizmo to rotate, scale and translate the whole mesh,
+     * or [Shift+W] to undo its transform
+     * @param {boolean} isReset - whether to undo the transform of the gizmo instead
+     */
+    toggleGizmo(isReset){
+        if(isReset){
+            this.controller.resetPlacement();
+            this.updateMsg('已复位变换');
+            return;
+        }
+        this.controller.toggleGizmo();
+        if(this.controller.isShowGizmo && this.isAnimating){
+            this.updateMsg('请先按下T键关闭动画');
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [V] event to switch the animation between forwards and reverse
+     */
+    toggleReverse(){
+        let transform = this.controller.renderer.transform;
+        transform.setSpeed(-transform.speed);
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [,] / [.] event to pause the animation and step one frame back / forward
+     * @param {number} frames - -1 or 1
+     */
+    stepFrame(frames){
+        if(this.isAnimating){
+            this.toggleAnimation();
+        }
+        this.controller.stepAnimation(frames);
+        this.updateTimeline();
+    }
+
+    /**
+     * Handle input event of the time slider, jump to the chosen time of the animation, even while it plays
+     */
+    scrub(){
+        this.controller.setAnimationTime(Number(this.timelineTools.slider.value));
+        this.updateTimeline();
+    }
+
+    /**
+     * Show the time of the animation within its timeline on the slider
+     */
+    updateTimeline(){
+        let transform = this.controller.renderer.transform;
+        let time = transform.localTime;
+        this.timelineTools.slider.max = transform.timeline.duration;
+        this.timelineTools.slider.value = time;
+        this.timelineTools.time.innerText = `${time.toFixed(2)}s`;
+    }
+
+    /**
+     * Handle keyboard stroke with [Ctrl] (or [Cmd] on Mac), the other shortcuts are left to the browser
+     * @param {KeyboardEvent} event
+     */
+    shortcutHandler(event){
+        if(event.key === 'z' || event.key === 'Z'){
+            event.preventDefault();
+            if(event.shiftKey){
+                this.redo();
+            }else{
+                this.undo();
+            }
+        }else if(event.key === 'y' || event.key === 'Y'){
+            event.preventDefault();
+            this.redo();
+        }else if(event.key === 's' || event.key === 'S'){
+            event.preventDefault();
+            this.saveScene();
+        }
+    }
+
+    /**
+     * Check whether the shapes can be edited now, otherwise show message
+     *
+     * the points morphed by scrubbing the paused animation are put back to their rest pose before editing
+     * @returns {boolean}
      */
-    mouseDownHandler(event){
+    checkEditable(){
         if(!this.isEdit){
             this.updateMsg('请先按下E键开启编辑模式');
-            return;
+            return false;
         }else if(this.isAnimating){
             this.updateMsg('请先按下T键关闭动画');
+            return false;
+        }
+        this.controller.restoreRestPose();
+        return true;
+    }
+
+    /**
+     * Handle keyboard stroke [Ctrl+Z] event to undo the last edit
+     */
+    undo(){
+        if(this.checkEditable()){
+            this.updateMsg(this.controller.undo() ? '已撤销' : '没有可以撤销的操作');
+            this.updateHint();
+        }
+    }
+
+    /**
+     * Handle keyboard stroke [Ctrl+Shift+Z] / [Ctrl+Y] event to redo the last undone edit
+     */
+    redo(){
+        if(this.checkEditable()){
+            this.updateMsg(this.controller.redo() ? '已重做' : '没有可以重做的操作');
+            this.updateHint();
+        }
+    }
+
+    /**
+     * Handle keyboard stroke [F] event to switch on/off face mode
+     *
+     * in face mode, click the points of a new polygon in order, and click the first one again or press [Enter]
+     * to close it, [Escape] discards the clicked points and [Backspace] / [Delete] removes the last one
+     */
+    toggleFace(){
+        if(this.controller.face_points){
+            this.controller.stopFace();
+        }else if(this.checkEditable()){
+            if(this.controller.path_mode){
+                this.controller.stopPath();
+            }
+            this.controller.startFace();
+            this.updateMsg('依次点击顶点，再次点击第一个顶点或按Enter完成多边形，Esc取消');
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [L] event to switch on/off motion path mode,
+     * where clicks add points to the path the animation moves the mesh along, instead of points of the shapes
+     */
+    togglePath(){
+        if(this.controller.path_mode){
+            this.controller.stopPath();
+        }else if(this.checkEditable()){
+            if(this.controller.face_points){
+                this.controller.stopFace();
+            }
+            this.controller.startPath();
+            this.updateMsg('点击画布添加路径点，拖动路径点编辑，Delete删除最后一个点');
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [Shift+L] event to switch the motion path between a polyline and a Bézier path
+     */
+    togglePathType(){
+        if(!this.checkEditable()){
+            return;
+        }
+        let path = this.controller.renderer.transform.timeline.path;
+        let index = MotionPath.TYPES.indexOf(path.type);
+        this.controller.setPathType(MotionPath.TYPES[(index + 1) % MotionPath.TYPES.length]);
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [J] event to switch on/off rotating the mesh with the direction of the motion path
+     */
+    togglePathOrient(){
+        if(!this.checkEditable()){
+            return;
+        }
+        this.controller.togglePathOrient();
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [Ctrl+S] event to download the scene as a config file, which can replace config.js
+     */
+    saveScene(){
+        if(this.isAnimating){
+            this.updateMsg('请先按下T键关闭动画');
+            return;
+        }
+        this.controller.restoreRestPose();
+        let blob = new Blob([writeConfigFile(this.controller)], {type: 'text/javascript'});
+        let url = URL.createObjectURL(blob);
+        let link = this.document.createElement('a');
+        link.href = url;
+        link.download = 'config.js';
+        link.click();
+        // revoke later, the download may not have started when click returns
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.updateMsg('已保存场景，用它替换config.js即可载入');
+    }
+
+    /**
+     * Handle keyboard stroke [S] / [Shift+S] event to subdivide the polygons one more / fewer time
+     *
+     * the subdivided mesh is only shown, the points can still be dragged as its control points
+     * @param {number} levels - 1 or -1
+     */
+    changeSubdivision(levels){
+        if(!this.checkEditable()){
+            return;
+        }
+        let level = this.controller.renderer.shapes.subdivisionLevel + levels;
+        if(level < 0){
+            this.updateMsg('没有细分');
+            return;
+        }else if(level > SubdivisionSurface.MAX_LEVEL){
+            this.updateMsg(`最多细分${SubdivisionSurface.MAX_LEVEL}次`);
+            return;
+        }
+        try{
+            this.controller.subdivide(levels);
+            this.updateMsg(level > 0 ? `已细分${level}次` : '已取消细分');
+        }catch(e){
+            this.updateMsg(`无法细分: ${e.message}`);
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [G] event and the grid button to replace the shapes by a grid over the loaded image,
+     * of the size in the grid inputs, whose points can be dragged to warp the image
+     */
+    createGrid(){
+        if(!this.checkEditable()){
+            return;
+        }else if(!this.controller.renderer.image){
+            this.updateMsg('请先选择图片或将图片拖到画布上');
+            return;
+        }
+        let columns = Number(this.warpTools.columns.value);
+        let rows = Number(this.warpTools.rows.value);
+        try{
+            this.controller.createImageGrid(columns, rows);
+            this.updateMsg(`已生成${columns}×${rows}网格`);
+        }catch(e){
+            this.updateMsg(`无法生成网格: ${e.message}`);
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [P] event and the export button to download the faces over the loaded image
+     * as a PNG file of the size in the export inputs
+     */
+    exportImage(){
+        let width = Number(this.warpTools.exportWidth.value);
+        let height = Number(this.warpTools.exportHeight.value);
+        let canvas;
+        try{
+            canvas = this.controller.renderImage(width, height);
+        }catch(e){
+            this.updateMsg(`无法导出图片: ${e.message}`);
+            return;
+        }
+        canvas.toBlob(blob => {
+            if(!blob){
+                this.updateMsg('无法导出图片');
+                return;
+            }
+            let url = URL.createObjectURL(blob);
+            let link = this.document.createElement('a');
+            link.href = url;
+            link.download = 'warped.png';
+            link.click();
+            // revoke later, the download may not have started when click returns
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.updateMsg(`已导出${width}×${height}图片`);
+        }, 'image/png');
+    }
+
+    /**
+     * Handle keyboard stroke [K] event to capture the current pose of the points as a morph target,
+     * or [Shift+K] to remove all the morph targets; the animation morphs between them
+     * @param {boolean} isClear - whether to remove the morph targets instead
+     */
+    changeMorphTargets(isClear){
+        if(!this.checkEditable()){
+            return;
+        }
+        if(isClear){
+            this.updateMsg(this.controller.clearMorphTargets() ? '已清除形状' : '没有记录的形状');
+        }else{
+            let count = this.controller.addMorphTarget();
+            // a single target is played from the current shape, which is the same until the points are moved
+            this.updateMsg(count === 1 ? '已记录第1个形状，移动顶点后按T键播放从当前形状到记录的形状的动画' :
+                `已记录第${count}个形状，按T键播放形状动画`);
+        }
+        this.updateHint();
+    }
+
+    /**
+     * Handle keyboard stroke [Enter] event to close the polygon being created
+     */
+    closeFace(){
+        try{
+            this.controller.closeFace();
+            this.updateMsg('已添加多边形');
+        }catch(e){
+            this.updateMsg(`无法添加多边形: ${e.message}`);
+        }
+    }
+
+    /**
+     * Handle keyboard stroke [Delete] / [Backspace] event to delete the selected point,
+     * or the last clicked point in face mode
+     */
+    deletePoint(){
+        if(!this.checkEditable()){
+            return;
+        }else if(this.controller.face_points){
+            this.controller.removeLastFacePoint();
+            return;
+        }else if(this.controller.path_mode){
+            if(!this.controller.removeLastPathPoint()){
+                this.updateMsg('路径上没有点');
+            }
+            return;
+        }else if(!this.controller.selected_point){
+            this.updateMsg('请先点击选中一个顶点');
+            return;
+        }
+        let removedCount = this.controller.deleteSelectedPoint();
+        if(removedCount === null){
+            this.updateMsg('请先松开正在拖动的顶点');
+            return;
+        }
+        this.updateMsg(removedCount > 0 ? `已删除顶点，并移除了${removedCount}个多边形` : '已删除顶点');
+        this.updateHint();
+    }
+
+    /**
+     * Handle input event of the color input, set the color of new points
+     */
+    updateNewPointColor(){
+        let hex = this.colorInput.value || '#ffffff';
+        this.controller.new_point_color = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    /**
+     * Handle keyboard stroke [E] event to switch on/off edit mode
+     */
+    toggleEdit(){
+        this.isEdit = !this.isEdit;
+        this.controller.isShowHandles = this.isEdit;
+        if(!this.isEdit && this.controller.face_points){
+            this.controller.stopFace();
+        }
+        if(!this.isEdit && this.controller.path_mode){
+            this.controller.stopPath();
+        }
+        this.updateHint();
+        this.controller.render();
+    }
+
+    /**
+     * Handle pointer down event
+     *
+     * Capture the pointer so that the drag goes on outside the canvas, and call the controller's pointerDown method.
+     * Points can only be dragged in edit mode without animation, otherwise show message for the primary pointer.
+     * In face mode, show message if the clicked point is rejected or the polygon is closed.
+     * @param {PointerEvent} event
+     */
+    pointerDownHandler(event){
+        this.controller.renderer.shapes.dom.setPointerCapture(event.pointerId);
+        let canEdit = this.isEdit && !this.isAnimating;
+        // the message is only shown once for a multi-touch gesture
+        if(event.isPrimary && this.checkEditable()){
+            this.updateMsg('');
+        }
+        if(canEdit){
+            this.controller.restoreRestPose();
+        }
+        let shapes = this.controller.renderer.shapes;
+        let polygonsCount = shapes.polygons.length;
+        try{
+            this.controller.pointerDown(event.pointerId, ...this.canvasCoordinate(event), canEdit);
+        }catch(e){
+            // clicking a point in face mode may be an invalid choice
+            this.updateMsg(`无效的顶点: ${e.message}`);
             return;
         }
-        this.updateMsg('');
-        this.controller.mouseDown(event.clientX, event.clientY);
+        if(shapes.polygons.length > polygonsCount){
+            this.updateMsg('已添加多边形');
+        }
     }
 
     /**
-     * Handle mouse move event by calling controller's mouseMove method
+     * Handle double click event to split the edge under the pointer, not available in face mode
      * @param {MouseEvent} event
      */
-    mouseMoveHandler(event){
-        this.controller.mouseMove(event.clientX, event.clientY);
+    doubleClickHandler(event){
+        if(this.controller.face_points || this.controller.path_mode || !this.checkEditable()){
+            return;
+        }
+        try{
+            if(this.controller.doubleClick(...this.canvasCoordinate(event))){
+                this.updateMsg('已在边上插入顶点');
+            }
+        }catch(e){
+            // the polygons having the edge may fail to be triangulated again
+            this.updateMsg(`无法插入顶点: ${e.message}`);
+        }
+    }
+
+    /**
+     * Handle pointer move event by calling controller's pointerMove method
+     * @param {PointerEvent} event
+     */
+    pointerMoveHandler(event){
+        this.controller.pointerMove(event.pointerId, ...this.canvasCoordinate(event));
     }
 
     /**
-     * Handle mouse up event by calling controller's mouseUp method
+     * Handle pointer up / cancel event by calling controller's pointerUp method
+     *
+     * a click on the empty space may add a point, which fails if the position is out of the canvas coordinate system
+     * @param {PointerEvent} event
      */
-    mouseUpHandler(){
-        this.controller.mouseUp();
+    pointerUpHandler(event){
+        if(this.controller.renderer.shapes.dom.hasPointerCapture(event.pointerId)){
+            this.controller.renderer.shapes.dom.releasePointerCapture(event.pointerId);
+        }
+        try{
+            this.controller.pointerUp(event.pointerId, event.type === 'pointercancel');
+        }catch(e){
+            this.updateMsg(`无法添加顶点: ${e.message}`);
+        }
     }
 
 }
@@ -630,27 +5461,118 @@ class InteractionManager{
  */
 function readConfigFile(shapes){
     for(let i = 0; i < vertex_pos.length; i++){
-        shapes.addPoint(vertex_pos[i][0], vertex_pos[i][1],
+        let point = shapes.addPoint(vertex_pos[i][0], vertex_pos[i][1],
             vertex_color[i][0], vertex_color[i][1], vertex_color[i][2]);
+        // points without texture coordinates keep the default ones given by their position
+        if(typeof vertex_uv !== 'undefined' && vertex_uv[i]){
+            point.setUV(vertex_uv[i][0], vertex_uv[i][1]);
+        }
+    }
+    polygon.forEach(p => {
+        if(Array.isArray(p)){
+            shapes.addPolygon(p);
+        }else{
+            shapes.addPolygon(p.outer, p.holes || [], p.borderColor || null);
+        }
+    });
+    if(typeof subdivision_level !== 'undefined'){
+        shapes.setSubdivisionLevel(subdivision_level);
+    }
+    if(typeof morph_targets !== 'undefined'){
+        morph_targets.forEach(target => {
+            if(target.vertex_pos.length !== shapes.points.length){
+                throw new Error("Morph target must have a position for every point");
+            }
+            // the positions and colors are checked like those of the points
+            shapes.addMorphTarget(new Map(shapes.points.map((p, i) => {
+                let pose = new Point(target.vertex_pos[i][0], target.vertex_pos[i][1], shapes.width, shapes.height);
+                if(target.vertex_color && target.vertex_color[i]){
+                    pose.setColor(...target.vertex_color[i]);
+                }else{
+                    [pose.r, pose.g, pose.b] = [p.r, p.g, p.b];
+                }
+                return [p, Shapes.getPose(pose)];
+            })));
+        });
     }
-    polygon.forEach(p => shapes.addPolygon(p));
+}
+
+/**
+ * Write the scene in the format of the config file, which is loaded by replacing config.js
+ * @param {Controller} controller
+ * @returns {string} content of the config file
+ */
+function writeConfigFile(controller){
+    let renderer = controller.renderer;
+    let shapes = renderer.shapes;
+    let round = v => Math.round(v * 1000) / 1000;
+    let canvasPosition = (x, y) => [...Point.webGLCoordinateToCanvas(x, y, shapes.width, shapes.height).map(round), 0];
+    let color = rgb => rgb.map(c => Math.round(c * 255));
+    let {dashPattern, ...borderStyle} = renderer.borderStyle;
+    let config = {
+        canvasSize: {maxX: shapes.width, maxY: shapes.height},
+        border_mode: controller.borderMode,
+        border_style: borderStyle,
+        quad_interpolation: renderer.quadInterpolation,
+        shading_mode: renderer.shadingMode,
+        color_space: renderer.colorSpace,
+        texture_mode: renderer.textureMode,
+        pick_radius: controller.pickRadius,
+        history_limit: controller.history.limit,
+        subdivision_level: shapes.subdivisionLevel,
+        animation_timeline: renderer.transform.timeline.toDefinition(),
+        vertex_pos: shapes.points.map(p => canvasPosition(p.x, p.y)),
+        vertex_color: shapes.points.map(p => color([p.r, p.g, p.b])),
+        vertex_uv: shapes.points.map(p => [round(p.u), round(p.v)]),
+        // the points added after a target was captured keep their pose in it
+        morph_targets: shapes.morphTargets.map(target => {
+            let poses = shapes.points.map(p => target.get(p) || Shapes.getPose(p));
+            return {
+                vertex_pos: poses.map(([x, y]) => canvasPosition(x, y)),
+                vertex_color: poses.map(pose => color(pose.slice(2))),
+            };
+        }),
+        polygon: shapes.polygons.map(p => p.holes.length === 0 && !p.borderColor ? p.points.map(q => q.index) : {
+            outer: p.points.map(q => q.index),
+            holes: p.holes.map(hole => hole.map(q => q.index)),
+            ...(p.borderColor ? {borderColor: color(p.borderColor)} : {}),
+        }),
+    };
+    return '//由Project2保存的场景，用它替换config.js即可载入，各项的含义见原来的config.js\n\n' +
+        Object.entries(config).map(([name, value]) => `var ${name} = ${JSON.stringify(value)};\n`).join('\n');
 }
 
 function main() {
     // init Shapes
     let canvasWidth = canvasSize.maxX
     let canvasHeight = canvasSize.maxY
-    let shapes = new Shapes(document.getElementById('myCanvas'), canvasWidth, canvasHeight);
+    let canvas = document.getElementById('myCanvas');
+    let shapes = new Shapes(canvas, canvasWidth, canvasHeight);
     readConfigFile(shapes);
+    // the canvas is shown in CSS pixels, while the renderer multiplies its backbuffer by devicePixelRatio
+    canvas.style.width = `${canvasWidth}px`;
+    canvas.style.height = `${canvasHeight}px`;
 
     // init Transform and Renderer
-    let transform = new Transform();
-    let renderer = new Renderer(shapes, transform, BORDER_COLOR);
-    renderer.render(true);
+    let transform = new Transform(new Timeline(typeof animation_timeline === 'undefined' ? Timeline.DEFAULT : animation_timeline));
+    let renderer = new Renderer(shapes, transform, typeof border_style === 'undefined' ? {} : border_style,
+        window.devicePixelRatio || 1);
+    renderer.setQuadInterpolation(typeof quad_interpolation === 'undefined' ? 'triangle' : quad_interpolation);
+    renderer.setShadingMode(typeof shading_mode === 'undefined' ? 'smooth' : shading_mode);
+    renderer.setColorSpace(typeof color_space === 'undefined' ? 'srgb' : color_space);
+    renderer.setTextureMode(typeof texture_mode === 'undefined' ? 'none' : texture_mode);
 
     // init Controller and InteractionManager
-    let controller = new Controller(renderer);
+    let controller = new Controller(renderer, typeof border_mode === 'undefined' ? 'polygon' : border_mode,
+        typeof pick_radius === 'undefined' ? PICK_RADIUS : pick_radius,
+        new EditHistory(typeof history_limit === 'undefined' ? HISTORY_LIMIT : history_limit));
     new InteractionManager(controller, document,
-     document.getElementById('hint'), document.getElementById('msg'));
+     document.getElementById('hint'), document.getElementById('msg'), document.getElementById('color'),
+     document.getElementById('image'), {
+        columns: document.getElementById('grid-columns'), rows: document.getElementById('grid-rows'),
+        grid: document.getElementById('grid'), exportWidth: document.getElementById('export-width'),
+        exportHeight: document.getElementById('export-height'), export: document.getElementById('export'),
+     }, {slider: document.getElementById('timeline'), time: document.getElementById('time')});
+    controller.render();
 }
 
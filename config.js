@@ -1,6 +1,60 @@
 //画布的大小
 var canvasSize = {"maxX": 700, "maxY": 700};
 
+//边框模式："polygon"只画多边形的边，"triangle"画三角剖分的所有边，"none"不画边框
+var border_mode = "polygon";
+
+//边框样式：width为线宽（像素），join为拐角样式（"miter"尖角、"round"圆角、"bevel"斜角），
+//dash为虚线模式[实线长度, 空白长度, ...]（最多4个数，空数组表示实线），color为边框颜色[r,g,b]
+var border_style = {"width": 2, "join": "round", "dash": [], "color": [255, 0, 0]};
+
+//四边形的颜色插值："triangle"在拆分成的两个三角形内插值（与对角线的选择有关），
+//改为"bilinear"则按四个角的颜色双线性插值（与对角线无关）
+var quad_interpolation = "triangle";
+
+//着色模式："smooth"插值顶点颜色，"flat-average"每个面使用顶点的平均颜色，
+//"flat-first"每个面使用第一个顶点的颜色，"points"只在顶点处画出圆点
+var shading_mode = "smooth";
+
+//颜色插值空间："srgb"直接插值颜色值；也可以改为"linear"在线性RGB空间插值（gamma校正），
+//或"oklab"在感知均匀的OKLab空间插值，饱和色之间的过渡不会发灰
+var color_space = "srgb";
+
+//纹理模式（选择或拖入图片后生效）："none"不显示图片，"replace"用图片代替顶点颜色，"modulate"图片乘以顶点颜色
+var texture_mode = "replace";
+
+//拖动顶点时的拾取半径（像素），与缩放无关，多个顶点都在范围内时选择最近的一个
+var pick_radius = 12;
+
+//最多可以撤销的步数
+var history_limit = 100;
+
+//细分次数（0~4），0表示不细分；多边形都是三角形时使用Loop细分，否则使用Catmull-Clark细分，
+//细分后原来的顶点作为控制点仍然可以拖动，有洞的多边形不能细分
+var subdivision_level = 0;
+
+//动画时间轴（按T键播放）：mode为播放模式（"loop"循环，"ping-pong"往返，"once"只播放一次），
+//duration为时长（秒，可省略，默认为最后一个关键帧的时间），tracks中每个轨道都可省略：
+//rotation为绕中心点逆时针旋转的角度，scale为绕中心点的缩放[x,y]，translation为平移[x,y]，pivot为中心点相对于按O键选择的中心点的偏移[x,y]，
+//坐标都在WebGL坐标系中（画布中心为[0,0]，范围-1~1）。每个关键帧为{time: 秒, value: 值, easing: 缓动}，
+//easing决定到下一个关键帧之间的变化曲线，可以是"linear"（默认）、"ease"、"ease-in"、"ease-out"、"ease-in-out"、
+//"step"（保持不变直到下一个关键帧）或三次贝塞尔曲线的控制点[x1,y1,x2,y2]
+//weights（可省略）为各个形状（见下面的morph_targets，或按K键记录的形状）按顺序的权重轨道，
+//每个轨道为权重的关键帧列表，例如"weights": [[{"time": 0, "value": 0}, {"time": 4, "value": 1}]]；
+//省略时依次播放各个形状，播放到最后一个形状后回到第一个形状；只有一个形状时从原来的位置变到该形状再变回来
+//path（可省略，也可以按L键在画布上编辑）为运动路径{"type": 类型, "points": [[x,y], ...], "orient": 是否沿路径旋转}，
+//type为"polyline"（折线，依次经过各点）或"bezier"（三次贝塞尔曲线，点数为3n+1，每段的两个控制点在两个端点之间），
+//坐标在WebGL坐标系中；有路径时中心点沿路径匀速移动，progress轨道为在路径上的进度（0~1，省略时在整个时长内走完一遍），
+//orient为true时图形跟着路径的方向旋转
+//这里是默认的动画：每秒旋转45度，同时以每秒0.2的速度在1和0.2之间缩放
+var animation_timeline = {
+    "mode": "loop",
+    "tracks": {
+        "rotation": [{"time": 0, "value": 0}, {"time": 8, "value": 360}],
+        "scale": [{"time": 0, "value": [1, 1]}, {"time": 4, "value": [0.2, 0.2]}, {"time": 8, "value": [1, 1]}]
+    }
+};
+
 //数组中每个元素表示一个点的坐标[x,y,z]，这里一共有9个点
 var vertex_pos = [
     [350, 100, 0],
@@ -38,7 +92,31 @@ var vertex_color = [
     [0, 204, 0]
 ];*/
 
-//四边形数组，数组中每个元素表示一个四边形，其中的四个数字是四边形四个顶点的index，例如vertex[polygon[2][1]]表示第三个多边形的第2个顶点的坐标
+//顶点纹理坐标数组[u,v]（可省略），(0,0)为图片左下角，(1,1)为图片右上角；
+//省略时按顶点在画布中的位置让图片铺满画布。这里把9个顶点看作3x3的网格，图片铺满整个网格
+var vertex_uv = [
+    [0, 1], [0.5, 1], [1, 1],
+    [0, 0.5], [0.5, 0.5], [1, 0.5],
+    [0, 0], [0.5, 0], [1, 0]
+];
+
+//形状数组（可省略），每个形状给出所有顶点的另一组坐标vertex_pos和颜色vertex_color（可省略，默认不变），
+//播放动画时顶点在各个形状之间变形，顶点 = 原位置 + Σ 权重 × (形状中的位置 - 原位置)，颜色同理
+/*var morph_targets = [
+    {
+        "vertex_pos": [
+            [350, 150, 0], [450, 250, 0], [550, 350, 0],
+            [250, 250, 0], [350, 350, 0], [450, 450, 0],
+            [150, 350, 0], [250, 450, 0], [350, 550, 0]
+        ]
+    }
+];*/
+
+//多边形数组，数组中每个元素表示一个简单多边形（凸或凹，至少3个顶点），其中的数字按顺序给出多边形各顶点的index，例如vertex[polygon[2][1]]表示第三个多边形的第2个顶点的坐标
+//多边形不能自相交，也不能退化（面积为0或有重合的顶点）
+//带洞的多边形用对象表示：{"outer": [外边界顶点index], "holes": [[第一个洞的顶点index], [第二个洞的顶点index], ...]}
+//洞必须位于外边界内部，各边界之间不能相交或共用顶点
+//对象形式还可以用"borderColor": [r,g,b]单独指定该多边形的边框颜色，例如{"outer": [4, 5, 8, 7], "borderColor": [255, 255, 0]}
 var polygon = [
     [4, 5, 8, 7],
     [0, 1, 4, 3],